@@ -0,0 +1,372 @@
+/**
+ * Context Bundle
+ * The whole context as one versioned tar.gz, for moving between machines
+ *
+ * bundle.json   { format, version, createdAt, schemaVersion, storage, files: [{ path, bytes, sha256 }] }
+ * <files>       metadata, deltas, history, facts, modules, profiles and
+ *               preferences at their paths under the context root
+ *
+ * Only the files in BUNDLE_FILES and BUNDLE_DIRS are packed. Credentials
+ * (credentials.json, keys, tokens, .env files) are never packed and a bundle
+ * containing one is refused on import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const ContextCompressor = require('./context-compressor');
+const SessionHistory = require('./session-history');
+const ProjectProfiles = require('./project-profiles');
+const { MODULAR_DIR } = require('./context-storage');
+const { CONTROL_OPS, HISTORY_POINTERS, clashingPath } = require('./context-merge');
+const { pack, unpack } = require('./tar-archive');
+
+const BUNDLE_FORMAT = 'opencode-context-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'bundle.json';
+
+const DELTA_LOG = 'context-deltas.jsonl';
+const DELTA_ARCHIVE = 'context-deltas.archive.jsonl';
+
+// Files directly under the context root
+const BUNDLE_FILES = [
+  'context-metadata.json',
+  DELTA_LOG,
+  DELTA_ARCHIVE,
+  'facts.json',
+  'SESSION_CONTEXT_COMPLETE.md',
+  'QUICK_REFERENCE.md',
+  'automation-config.json',
+  SessionHistory.LEGACY_FILE
+];
+
+// Directories packed with everything in them
+const BUNDLE_DIRS = [MODULAR_DIR, SessionHistory.HISTORY_DIR, ProjectProfiles.PROFILES_DIR];
+
+const CREDENTIAL_PATTERN = /credential|secret|token|password|^\.env|\.pem$|\.key$|^id_(rsa|ecdsa|ed25519)/i;
+
+// Merged by replaying deltas rather than compared as files
+const DELTA_MERGED = new Set(['context-metadata.json', DELTA_LOG, DELTA_ARCHIVE, SessionHistory.LEGACY_FILE]);
+
+function bundleError(message, code = 'EBUNDLE') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isCredential(file) {
+  return CREDENTIAL_PATTERN.test(path.posix.basename(file));
+}
+
+// Relative, inside the context root and one of the bundled locations
+function isBundlePath(file) {
+  const parts = file.split('/');
+  if (path.posix.isAbsolute(file) || parts.some(part => part === '..' || part === '')) return false;
+  return parts.length === 1 ? BUNDLE_FILES.includes(file) : BUNDLE_DIRS.includes(parts[0]);
+}
+
+/**
+ * Imported deltas that can be replayed on top of the local ones.
+ * A delta is skipped if the local log already has it, and reported as a
+ * conflict if a local-only delta changed an overlapping path differently.
+ * Writes under the derived pointers are rebuilt after the merge and never clash.
+ * Returns { accepted, known, conflicts }.
+ */
+function mergeDeltas(local, imported, file, derived = []) {
+  const localIds = new Set(local.map(delta => delta.id));
+  const importedIds = new Set(imported.map(delta => delta.id));
+  const localOnly = local.filter(delta => !importedIds.has(delta.id) && !CONTROL_OPS.has(delta.op));
+  const accepted = [];
+  const conflicts = [];
+  let known = 0;
+
+  for (const delta of imported) {
+    if (localIds.has(delta.id)) {
+      known++;
+    } else if (CONTROL_OPS.has(delta.op)) {
+      const replayed = new Set(accepted.map(d => d.id));
+      if (delta.targets.every(id => localIds.has(id) || replayed.has(id))) {
+        accepted.push(delta);
+      } else {
+        conflicts.push({ type: 'delta', file, id: delta.id, path: null, reason: `${delta.op} of deltas that were not replayed` });
+      }
+    } else {
+      let clash = null;
+      for (const other of localOnly) {
+        const clashPath = clashingPath(other, delta, derived);
+        if (clashPath !== null) {
+          clash = { id: other.id, path: clashPath };
+          break;
+        }
+      }
+
+      if (clash) {
+        conflicts.push({ type: 'delta', file, id: delta.id, path: clash.path, local: clash.id, reason: 'changed locally too; kept the local change' });
+      } else {
+        accepted.push(delta);
+      }
+    }
+  }
+
+  return { accepted, known, conflicts };
+}
+
+class ContextBundle {
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  get root() {
+    return this.loader.contextPath;
+  }
+
+  // Bundled files present locally: [{ path, data }], paths relative with "/"
+  collect() {
+    const files = [];
+
+    for (const name of BUNDLE_FILES) {
+      const filePath = path.join(this.root, name);
+      if (fs.existsSync(filePath)) {
+        files.push({ path: name, data: this.loader.readContextFile(filePath) });
+      } else {
+        // Only a compressed copy left: bundle its verified contents
+        const verified = ContextCompressor.readVerified(filePath, file => this.loader.readContextFile(file));
+        if (verified.data) files.push({ path: name, data: verified.data });
+      }
+    }
+
+    const walk = relative => {
+      for (const entry of fs.readdirSync(path.join(this.root, relative), { withFileTypes: true })) {
+        const child = `${relative}/${entry.name}`;
+        if (entry.isDirectory()) {
+          walk(child);
+        } else if (entry.isFile() && !entry.name.endsWith('.tmp') && !isCredential(entry.name)) {
+          files.push({ path: child, data: this.loader.readContextFile(path.join(this.root, child)) });
+        }
+      }
+    };
+    BUNDLE_DIRS.filter(dir => fs.existsSync(path.join(this.root, dir))).forEach(walk);
+
+    return files;
+  }
+
+  async export(file) {
+    const target = path.resolve(file);
+
+    return this.loader.withContextLock(async () => {
+      const files = this.collect();
+      if (files.length === 0) {
+        throw bundleError(`Nothing to export in ${this.root}`, 'ENOCONTEXT');
+      }
+
+      const manifest = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        createdAt: new Date().toISOString(),
+        schemaVersion: this.loader.schemaVersion,
+        storage: this.loader.storage.name,
+        files: files.map(({ path: name, data }) => ({ path: name, bytes: data.length, sha256: ContextCompressor.checksum(data) }))
+      };
+      const archive = zlib.gzipSync(pack([
+        { name: MANIFEST_FILE, data: JSON.stringify(manifest, null, 2) },
+        ...files.map(({ path: name, data }) => ({ name, data }))
+      ]));
+
+      this.loader.writer.writeFileAtomic(target, archive);
+      return { file: target, bytes: archive.length, manifest };
+    });
+  }
+
+  /**
+   * Unpack and verify a bundle. Returns { manifest, files: Map(path -> Buffer) }.
+   * Throws EBUNDLE for anything unreadable, unsafe or failing its checksum
+   * and EBUNDLEVERSION for bundles from a newer loader.
+   */
+  read(file) {
+    let entries;
+    try {
+      entries = unpack(zlib.gunzipSync(fs.readFileSync(file)));
+    } catch (error) {
+      throw bundleError(`Cannot read bundle ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+    }
+
+    const contents = new Map(entries.map(entry => [entry.name.replace(/^\.\//, ''), entry.data]));
+    let manifest;
+    try {
+      manifest = JSON.parse(contents.get(MANIFEST_FILE).toString('utf8'));
+    } catch {
+      throw bundleError(`${file} has no readable ${MANIFEST_FILE} - not a context bundle`);
+    }
+
+    if (manifest.format !== BUNDLE_FORMAT || !Array.isArray(manifest.files)) {
+      throw bundleError(`${file} is not a context bundle`);
+    }
+    if (!(manifest.version <= BUNDLE_VERSION)) {
+      throw bundleError(`Bundle format v${manifest.version} is newer than this loader supports (v${BUNDLE_VERSION})`, 'EBUNDLEVERSION');
+    }
+    if (manifest.schemaVersion > this.loader.schemaVersion) {
+      throw bundleError(`Bundle metadata is schema v${manifest.schemaVersion}; this loader supports up to v${this.loader.schemaVersion}`, 'EBUNDLEVERSION');
+    }
+
+    const files = new Map();
+    for (const { path: name, sha256 } of manifest.files) {
+      if (typeof name !== 'string' || !isBundlePath(name)) {
+        throw bundleError(`Refusing unexpected bundle path: ${name}`);
+      }
+      if (isCredential(name)) {
+        throw bundleError(`Refusing bundle with credentials: ${name}`);
+      }
+      const data = contents.get(name);
+      if (!data || ContextCompressor.checksum(data) !== sha256) {
+        throw bundleError(`Checksum mismatch for ${name} - the bundle is corrupt`);
+      }
+      files.set(name, data);
+    }
+
+    return { manifest, files };
+  }
+
+  /**
+   * Import a bundle. Into an empty context it is restored as-is; otherwise
+   * mode must be 'replace' (local bundled files are swapped for the bundle's)
+   * or 'merge' (see merge).
+   */
+  async import(file, { mode = null } = {}) {
+    const bundle = this.read(path.resolve(file));
+    // A new machine may not have a context directory yet
+    fs.mkdirSync(this.root, { recursive: true });
+
+    return this.loader.withContextLock(async () => {
+      const local = this.collect();
+      if (local.length === 0) return this.restore(bundle, local, 'restore');
+      if (mode === 'replace') return this.restore(bundle, local, mode);
+      if (mode === 'merge') return this.merge(bundle, local);
+
+      throw bundleError(`${this.root} already has context - use --import <file> --merge or --replace`, 'EIMPORTEXISTS');
+    });
+  }
+
+  // Make the bundled files exactly the bundle's; compressed copies are dropped and rebuilt on save
+  restore({ files }, local, mode) {
+    const removed = local.map(file => file.path).filter(name => !files.has(name));
+    const staleCopies = BUNDLE_FILES.flatMap(name => ContextCompressor.ALGORITHMS.map(algorithm =>
+      ContextCompressor.compressedPathFor(path.join(this.root, name), algorithm)));
+
+    this.loader.writer.commit([
+      ...removed.map(name => ({ type: 'unlink', file: path.join(this.root, name) })),
+      ...[...staleCopies, ContextCompressor.manifestPath(this.root)]
+        .filter(filePath => fs.existsSync(filePath))
+        .map(filePath => ({ type: 'unlink', file: filePath })),
+      ...[...files].map(([name, data]) => ({ type: 'write', file: path.join(this.root, name), data }))
+    ]);
+
+    return { mode, restored: [...files.keys()], removed };
+  }
+
+  /**
+   * Merge a bundle into the local context: imported deltas not in the local
+   * log are replayed on top of it (see mergeDeltas), missing history entries
+   * and project profiles are added, and other files are added when missing
+   * locally. Differing files and clashing deltas keep the local side and are
+   * reported as conflicts.
+   */
+  async merge({ manifest, files }, local) {
+    if (this.loader.storage.name === 'modular' || manifest.storage === 'modular') {
+      throw bundleError('--import --merge replays the monolithic delta log; --demodularize both sides first', 'EMODULAR');
+    }
+
+    const localFiles = new Map(local.map(file => [file.path, file.data]));
+    const text = name => (files.get(name) || Buffer.alloc(0)).toString('utf8').trim();
+    const result = { mode: 'merge', deltas: { replayed: 0, known: 0 }, history: { added: 0 }, added: [], conflicts: [] };
+    const ops = [];
+
+    // Metadata: replay the bundle's deltas, archived ones included
+    const importedDeltas = this.loader.parseDeltaLines([
+      ...text(DELTA_ARCHIVE).split('\n').filter(line => line.trim())
+        .flatMap(line => JSON.parse(line).deltas || []).map(delta => JSON.stringify(delta)),
+      text(DELTA_LOG)
+    ].filter(Boolean).join('\n'));
+    const localDeltas = this.loader.readDeltaTimeline();
+    const metadataMerge = mergeDeltas(localDeltas, importedDeltas, DELTA_LOG, HISTORY_POINTERS);
+    ops.push(...this.appendDeltaOps(path.join(this.root, DELTA_LOG), metadataMerge.accepted));
+    result.deltas = { replayed: metadataMerge.accepted.length, known: metadataMerge.known };
+    result.conflicts.push(...metadataMerge.conflicts);
+
+    // Project profiles: new ones are added, shared ones get the other side's deltas
+    const profiles = this.loader.profiles;
+    for (const name of [...files.keys()].filter(file => file.startsWith(`${ProjectProfiles.PROFILES_DIR}/`) && file.endsWith('.json'))) {
+      const profileName = path.posix.basename(name, '.json');
+      const deltaName = `${ProjectProfiles.PROFILES_DIR}/${profileName}.deltas.jsonl`;
+      const imported = JSON.parse(files.get(name).toString('utf8'));
+      const existing = profiles.find(profileName);
+
+      if (!existing) {
+        const claimed = profiles.findByPath(imported.path);
+        if (claimed && claimed.path === imported.path) {
+          result.conflicts.push({ type: 'file', file: name, reason: `${imported.path} already belongs to profile ${claimed.name}` });
+          continue;
+        }
+        ops.push({ type: 'write', file: path.join(this.root, name), data: files.get(name) });
+        if (files.has(deltaName)) ops.push({ type: 'write', file: path.join(this.root, deltaName), data: files.get(deltaName) });
+        result.added.push(name);
+        continue;
+      }
+
+      const { lastUpdated: ours, ...localProfile } = existing;
+      const { lastUpdated: theirs, ...importedProfile } = imported;
+      if (JSON.stringify(localProfile) !== JSON.stringify(importedProfile)) {
+        result.conflicts.push({ type: 'file', file: name, reason: 'profile differs; kept the local one' });
+      }
+      const profileMerge = mergeDeltas(profiles.readDeltaLog(profileName), this.loader.parseDeltaLines(text(deltaName)), deltaName);
+      ops.push(...this.appendDeltaOps(profiles.deltaLogPath(profileName), profileMerge.accepted));
+      result.conflicts.push(...profileMerge.conflicts);
+    }
+
+    // Session history: every entry the local log lacks
+    const historyEntries = [...files].flatMap(([name, data]) => {
+      const match = path.posix.basename(name).match(SessionHistory.FILE_PATTERN);
+      if (name === SessionHistory.LEGACY_FILE) return JSON.parse(data.toString('utf8'));
+      return match && name.startsWith(`${SessionHistory.HISTORY_DIR}/`) ? SessionHistory.parseLog(data, Boolean(match[2])).entries : [];
+    });
+    const history = this.loader.history.mergeOps(historyEntries);
+    ops.push(...history.ops);
+    result.history.added = history.added;
+
+    // Everything else (preferences, facts, session markdown, modules) is added only when missing
+    for (const [name, data] of files) {
+      if (DELTA_MERGED.has(name) || [ProjectProfiles.PROFILES_DIR, SessionHistory.HISTORY_DIR].includes(name.split('/')[0])) continue;
+
+      if (!localFiles.has(name)) {
+        ops.push({ type: 'write', file: path.join(this.root, name), data });
+        result.added.push(name);
+      } else if (!localFiles.get(name).equals(data)) {
+        result.conflicts.push({ type: 'file', file: name, reason: 'differs; kept the local file' });
+      }
+    }
+
+    if (ops.length > 0) this.loader.writer.commit(ops);
+
+    // Replayed history deltas were written against the other log
+    if (history.added > 0 || metadataMerge.accepted.length > 0) {
+      await this.loader.syncHistoryPointer();
+    }
+    await this.loader.checkAndCompactDeltas();
+
+    return result;
+  }
+
+  // Write op appending deltas to a JSONL log (none when there is nothing to add)
+  appendDeltaOps(logPath, deltas) {
+    if (deltas.length === 0) return [];
+    const existing = fs.existsSync(logPath) ? this.loader.readContextFile(logPath, 'utf8') : '';
+    const prefix = existing && !existing.endsWith('\n') ? `${existing}\n` : existing;
+    return [{ type: 'write', file: logPath, data: prefix + deltas.map(delta => JSON.stringify(delta) + '\n').join('') }];
+  }
+}
+
+ContextBundle.BUNDLE_FORMAT = BUNDLE_FORMAT;
+ContextBundle.BUNDLE_VERSION = BUNDLE_VERSION;
+ContextBundle.MANIFEST_FILE = MANIFEST_FILE;
+ContextBundle.mergeDeltas = mergeDeltas;
+
+module.exports = ContextBundle;
@@ -1,6 +1,25 @@
 const zlib = require('zlib');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+
+// Checksums of the plain files and their compressed copies, kept next to them
+const MANIFEST_FILE = 'context-checksums.json';
+
+const ALGORITHMS = {
+  brotli: {
+    extension: '.br',
+    compress: buffer => zlib.brotliCompressSync(buffer, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY }
+    }),
+    decompress: buffer => zlib.brotliDecompressSync(buffer)
+  },
+  gzip: {
+    extension: '.gz',
+    compress: buffer => zlib.gzipSync(buffer, { level: zlib.constants.Z_BEST_COMPRESSION }),
+    decompress: buffer => zlib.gunzipSync(buffer)
+  }
+};
 
 class ContextCompressor {
   static compress(data) {
@@ -32,19 +51,145 @@ class ContextCompressor {
     await this.saveCompressed(data, outputPath);
   }
 
-  static getSizeInfo(filePath) {
+  static checksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  static compressBuffer(buffer, algorithm = 'gzip') {
+    return this.algorithm(algorithm).compress(buffer);
+  }
+
+  static decompressBuffer(buffer, algorithm = 'gzip') {
+    return this.algorithm(algorithm).decompress(buffer);
+  }
+
+  static algorithm(name) {
+    const algorithm = ALGORITHMS[name];
+    if (!algorithm) {
+      throw new Error(`Unknown compression algorithm "${name}" (supported: ${Object.keys(ALGORITHMS).join(', ')})`);
+    }
+    return algorithm;
+  }
+
+  // context-metadata.json -> context-metadata.json.gz / .br
+  static compressedPathFor(filePath, algorithm = 'gzip') {
+    return `${filePath}${this.algorithm(algorithm).extension}`;
+  }
+
+  static manifestPath(dir) {
+    return path.join(dir, MANIFEST_FILE);
+  }
+
+  static readManifest(dir) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath(dir), 'utf8'));
+      return manifest && typeof manifest.files === 'object' ? manifest : { version: 1, files: {} };
+    } catch {
+      return { version: 1, files: {} };
+    }
+  }
+
+  /**
+   * Compress a plain file's contents with each algorithm.
+   * Returns the manifest entry and the compressed outputs to write.
+   */
+  static buildEntry(buffer, algorithms = ['gzip']) {
+    const outputs = algorithms.map(algorithm => ({ algorithm, data: this.compressBuffer(buffer, algorithm) }));
+
+    const entry = {
+      sha256: this.checksum(buffer),
+      bytes: buffer.length,
+      compressedAt: new Date().toISOString(),
+      compressed: {}
+    };
+    for (const { algorithm, data } of outputs) {
+      entry.compressed[algorithm] = { sha256: this.checksum(data), bytes: data.length };
+    }
+
+    return { entry, outputs };
+  }
+
+  // A plain file rewritten after the manifest means its compressed copies are stale.
+  // entry.storedBytes is the plain file's size on disk when that differs from its contents (encryption).
+  static isStale(dir, name, entry) {
+    const plainPath = path.join(dir, name);
+    if (!fs.existsSync(plainPath)) return false;
+
+    const plainStat = fs.statSync(plainPath);
+    let manifestMtime = 0;
+    try {
+      manifestMtime = fs.statSync(this.manifestPath(dir)).mtimeMs;
+    } catch {
+      return true;
+    }
+    return plainStat.size !== (entry.storedBytes ?? entry.bytes) || plainStat.mtimeMs > manifestMtime;
+  }
+
+  // Manifest with stale entries dropped and the given entries merged in, ready to write
+  static updateManifest(dir, entries) {
+    const manifest = this.readManifest(dir);
+    const files = {};
+
+    for (const [name, entry] of Object.entries(manifest.files)) {
+      if (!this.isStale(dir, name, entry)) files[name] = entry;
+    }
+    return { ...manifest, version: 1, files: { ...files, ...entries } };
+  }
+
+  /**
+   * Read the compressed copy of filePath if it can be trusted: its checksum
+   * matches the manifest and the plain file has not been rewritten since.
+   * Returns { data, algorithm } or { data: null, corrupt: [algorithms] }.
+   * read(path) returns a copy's bytes as compressed (decrypted, for an encrypted store).
+   */
+  static readVerified(filePath, read = fs.readFileSync) {
+    const dir = path.dirname(filePath);
+    const name = path.basename(filePath);
+    const entry = this.readManifest(dir).files[name];
+    const result = { data: null, algorithm: null, corrupt: [] };
+    if (!entry || !entry.compressed || this.isStale(dir, name, entry)) return result;
+
+    // Brotli is listed first in ALGORITHMS, so the smaller copy wins
+    for (const algorithm of Object.keys(ALGORITHMS).filter(name => entry.compressed[name])) {
+      const compressedPath = this.compressedPathFor(filePath, algorithm);
+      if (!fs.existsSync(compressedPath)) continue;
+
+      try {
+        const compressed = read(compressedPath);
+        if (this.checksum(compressed) !== entry.compressed[algorithm].sha256) {
+          throw new Error('checksum mismatch');
+        }
+        const data = this.decompressBuffer(compressed, algorithm);
+        if (this.checksum(data) !== entry.sha256) {
+          throw new Error('checksum mismatch');
+        }
+        return { ...result, data, algorithm };
+      } catch {
+        result.corrupt.push(algorithm);
+      }
+    }
+
+    return result;
+  }
+
+  // Sizes of a file and its compressed copy (computed with gzip when no copy is given)
+  static getSizeInfo(filePath, compressedPath = null) {
     if (!fs.existsSync(filePath)) return null;
-    
+
     const stats = fs.statSync(filePath);
-    const content = fs.readFileSync(filePath);
-    const compressed = zlib.gzipSync(content);
-    
+    const compressedBytes = compressedPath && fs.existsSync(compressedPath)
+      ? fs.statSync(compressedPath).size
+      : zlib.gzipSync(fs.readFileSync(filePath)).length;
+
     return {
       originalBytes: stats.size,
-      compressedBytes: compressed.length,
-      compressionRatio: ((1 - compressed.length / content.length) * 100).toFixed(1)
+      compressedBytes,
+      compressionRatio: stats.size === 0 ? '0.0' : ((1 - compressedBytes / stats.size) * 100).toFixed(1)
     };
   }
 }
 
+ContextCompressor.MANIFEST_FILE = MANIFEST_FILE;
+ContextCompressor.ALGORITHMS = Object.keys(ALGORITHMS);
+
 module.exports = ContextCompressor;
@@ -0,0 +1,178 @@
+/**
+ * Context Crypto
+ * Encryption at rest for the OpenCode context store (--encrypt / --rekey)
+ *
+ * Whole files are sealed with AES-256-GCM behind a fixed header:
+ *   "OCX1" | key id (8 bytes) | iv (12 bytes) | auth tag (16 bytes) | ciphertext
+ * Append-only logs (*.jsonl) are sealed line by line as "ocx1:<base64>" so an
+ * append stays an append. Data without the header reads as plaintext, which
+ * is what lets a store be encrypted or decrypted in place.
+ *
+ * The key never touches the context directory: it is held in the system
+ * keychain by SecurityManager (src/security/security-manager.ts).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+const MAGIC = Buffer.from('OCX1');
+const LINE_PREFIX = 'ocx1:';
+const KEY_ID_BYTES = 8;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + KEY_ID_BYTES + IV_BYTES + TAG_BYTES;
+
+// Records whether the store is encrypted and under which key; never encrypted itself
+const STATE_FILE = 'context-encryption.json';
+
+// Context files sealed when encryption is on (compressed copies included)
+const ENCRYPTED_FILES = [
+  'context-metadata.json',
+  'context-deltas.jsonl',
+  'context-deltas.archive.jsonl',
+  'SESSION_CONTEXT_COMPLETE.md',
+  'facts.json',
+  'session-history.json'
+];
+// Directories sealed as a whole: modules, history/, projects/
+const ENCRYPTED_DIRS = ['context', 'history', 'projects'];
+// Layout markers read before any key is loaded (context/__init__.json)
+const PLAIN_FILES = [path.join('context', '__init__.json')];
+
+function keyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Short fingerprint of a key, stored next to the data it sealed
+function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest().subarray(0, KEY_ID_BYTES).toString('hex');
+}
+
+// Whether a context-relative path is one the store encrypts
+function isEncryptedPath(relativePath) {
+  if (PLAIN_FILES.includes(relativePath)) return false;
+  const [top] = relativePath.split(path.sep);
+  if (ENCRYPTED_DIRS.includes(top) && relativePath !== top) return true;
+  return ENCRYPTED_FILES.some(file => relativePath === file || relativePath.startsWith(`${file}.`));
+}
+
+function isSealed(buffer) {
+  return buffer.length >= HEADER_BYTES && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Seals data with one key and opens data sealed with any of its keys
+ * (the previous key stays readable while --rekey is rewriting the store).
+ * A cipher without keys passes plaintext through and refuses sealed data.
+ */
+class ContextCipher {
+  constructor(key = null, { previous = [] } = {}) {
+    this.key = key;
+    this.keyId = key ? keyIdOf(key) : null;
+    this.keys = new Map([key, ...previous].filter(Boolean).map(k => [keyIdOf(k), k]));
+  }
+
+  // Holds any key at all (a decrypt-only cipher has previous keys and no sealing key)
+  get loaded() {
+    return this.keys.size > 0;
+  }
+
+  keyFor(keyId) {
+    const key = this.keys.get(keyId);
+    if (key) return key;
+    if (this.keys.size === 0) {
+      throw keyError('EKEYMISSING', `Context is encrypted (key ${keyId}) but no key is loaded`);
+    }
+    throw keyError('EKEYMISMATCH', `Context was encrypted with key ${keyId}, not the key in the keychain (${this.keyId})`);
+  }
+
+  seal(data) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8')), cipher.final()]);
+    return Buffer.concat([MAGIC, Buffer.from(this.keyId, 'hex'), iv, cipher.getAuthTag(), encrypted]);
+  }
+
+  open(buffer) {
+    if (!isSealed(buffer)) return buffer;
+
+    let offset = MAGIC.length;
+    const keyId = buffer.subarray(offset, offset += KEY_ID_BYTES).toString('hex');
+    const iv = buffer.subarray(offset, offset += IV_BYTES);
+    const tag = buffer.subarray(offset, offset += TAG_BYTES);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.keyFor(keyId), iv);
+    decipher.setAuthTag(tag);
+    try {
+      return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+    } catch {
+      throw keyError('EDECRYPT', 'Encrypted context data failed its integrity check');
+    }
+  }
+
+  sealLine(line) {
+    return LINE_PREFIX + this.seal(line).toString('base64');
+  }
+
+  openLine(line) {
+    return line.startsWith(LINE_PREFIX)
+      ? this.open(Buffer.from(line.slice(LINE_PREFIX.length), 'base64')).toString('utf8')
+      : line;
+  }
+
+  // Size on disk of a whole file of `bytes` plaintext bytes
+  sealedLength(bytes) {
+    return this.key ? bytes + HEADER_BYTES : bytes;
+  }
+
+  // On-disk form of a file's contents: logs sealed per line, anything else whole
+  encode(filePath, data) {
+    if (!this.key) return data;
+    if (!filePath.endsWith('.jsonl')) return this.seal(data);
+
+    const text = Buffer.isBuffer(data) ? data.toString('utf8') : data;
+    return text.split('\n').map(line => (line.trim() ? this.sealLine(line) : line)).join('\n');
+  }
+
+  decode(filePath, buffer) {
+    const opened = this.open(buffer);
+    if (!filePath.endsWith('.jsonl') || !opened.includes(LINE_PREFIX)) return opened;
+
+    return Buffer.from(opened.toString('utf8').split('\n').map(line => this.openLine(line)).join('\n'), 'utf8');
+  }
+}
+
+/**
+ * Keychain access through SecurityManager, compiled to dist/ by `npm run build`.
+ * Slots: 'current' seals the store, 'next' holds a key --rekey has not finished moving to.
+ */
+function securityManagerKeyStore() {
+  let securityManager;
+  try {
+    ({ securityManager } = require('./dist/security/security-manager'));
+  } catch (error) {
+    throw keyError('EKEYSTORE', `SecurityManager is not available (run npm run build): ${error.message.split('\n')[0]}`);
+  }
+
+  return {
+    get: slot => securityManager.getContextKey(slot),
+    set: (slot, key) => securityManager.storeContextKey(key, slot),
+    delete: slot => securityManager.deleteContextKey(slot),
+    generate: () => securityManager.generateContextKey()
+  };
+}
+
+ContextCipher.ALGORITHM = ALGORITHM;
+ContextCipher.STATE_FILE = STATE_FILE;
+ContextCipher.ENCRYPTED_FILES = ENCRYPTED_FILES;
+ContextCipher.ENCRYPTED_DIRS = ENCRYPTED_DIRS;
+ContextCipher.keyIdOf = keyIdOf;
+ContextCipher.isSealed = isSealed;
+ContextCipher.isEncryptedPath = isEncryptedPath;
+ContextCipher.keyError = keyError;
+ContextCipher.securityManagerKeyStore = securityManagerKeyStore;
+
+module.exports = ContextCipher;
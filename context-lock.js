@@ -0,0 +1,188 @@
+/**
+ * Context Lock
+ * Advisory cross-process lock for the OpenCode context store
+ *
+ * The lock is a file created with O_EXCL that records the holder's PID,
+ * hostname and acquisition time. While held, the holder touches the file's
+ * mtime every staleMs / 3 as a heartbeat. On the same host a lock is
+ * abandoned only when its process is gone, however long it has been held;
+ * a holder on another host is judged by the heartbeat, so a lock whose
+ * mtime is older than staleMs is broken.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_MS = 30000;
+const DEFAULT_RETRY_MS = 50;
+
+class ContextLock {
+  constructor(lockPath, options = {}) {
+    this.lockPath = lockPath;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.staleMs = options.staleMs ?? DEFAULT_STALE_MS;
+    this.retryMs = options.retryMs ?? DEFAULT_RETRY_MS;
+    this.token = null;
+    this.heartbeat = null;
+  }
+
+  async acquire() {
+    const deadline = Date.now() + this.timeoutMs;
+    let announced = false;
+
+    while (!this.tryAcquire()) {
+      const holder = this.readHolder();
+
+      if (this.isStale(holder)) {
+        this.breakStaleLock(holder);
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        const error = new Error(
+          `Context is locked by another OpenCode session (${this.describeHolder(holder)}). ` +
+          `Waited ${this.timeoutMs}ms. If that session is gone, remove ${this.lockPath}`
+        );
+        error.code = 'ECONTEXTLOCKED';
+        error.holder = holder?.info || null;
+        throw error;
+      }
+
+      if (!announced) {
+        console.log(`⏳ Waiting for context lock (${this.describeHolder(holder)})...`);
+        announced = true;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.retryMs));
+    }
+  }
+
+  tryAcquire() {
+    const token = crypto.randomBytes(8).toString('hex');
+    let fd;
+
+    try {
+      fd = fs.openSync(this.lockPath, 'wx');
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+
+    try {
+      fs.writeFileSync(fd, JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        acquiredAt: new Date().toISOString(),
+        token
+      }));
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.token = token;
+    this.startHeartbeat();
+    return true;
+  }
+
+  // Keep the mtime fresh so a slow but healthy operation is not mistaken for a dead one
+  startHeartbeat() {
+    this.heartbeat = setInterval(() => {
+      if (this.readHolder()?.info?.token !== this.token) return;
+      try {
+        const now = new Date();
+        fs.utimesSync(this.lockPath, now, now);
+      } catch {
+        // Lock removed under us; the next acquire will notice
+      }
+    }, Math.max(Math.floor(this.staleMs / 3), 1));
+    this.heartbeat.unref();
+  }
+
+  release() {
+    if (!this.token) return;
+
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    // Only remove the lock file if it is still ours
+    const holder = this.readHolder();
+    if (holder?.info?.token === this.token) {
+      try {
+        fs.unlinkSync(this.lockPath);
+      } catch {
+        // Already gone
+      }
+    }
+    this.token = null;
+  }
+
+  isHeld() {
+    return this.token !== null;
+  }
+
+  readHolder() {
+    try {
+      const raw = fs.readFileSync(this.lockPath, 'utf8');
+      const mtimeMs = fs.statSync(this.lockPath).mtimeMs;
+      let info = null;
+      try {
+        info = JSON.parse(raw);
+      } catch {
+        // Holder is between create and write, or the file is torn
+      }
+      return { raw, info, mtimeMs };
+    } catch {
+      return null;
+    }
+  }
+
+  isStale(holder) {
+    // Lock vanished between our attempt and the read: just retry
+    if (!holder) return false;
+
+    const { info, mtimeMs } = holder;
+    if (!info) {
+      return Date.now() - mtimeMs > this.staleMs;
+    }
+
+    if (info.hostname === os.hostname()) {
+      return !this.isProcessAlive(info.pid);
+    }
+
+    // Another host's PID can't be checked; its heartbeat has to be recent
+    return Date.now() - mtimeMs > this.staleMs;
+  }
+
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  breakStaleLock(holder) {
+    // Re-check right before removing so we don't delete a lock someone just took over
+    const current = this.readHolder();
+    if (current && current.raw === holder.raw) {
+      try {
+        fs.unlinkSync(this.lockPath);
+        console.log(`🔓 Removed stale context lock (${this.describeHolder(holder)})`);
+      } catch {
+        // Another waiter removed it first
+      }
+    }
+  }
+
+  describeHolder(holder) {
+    const info = holder?.info;
+    if (!info) return 'unknown holder';
+    return `pid ${info.pid} on ${info.hostname} since ${info.acquiredAt}`;
+  }
+}
+
+module.exports = ContextLock;
@@ -0,0 +1,126 @@
+/**
+ * Context Merge
+ * Delta bookkeeping shared by --import --merge and --merge <other-dir>
+ *
+ * A delta timeline is every delta of one context in order: archived
+ * segments first, then the pending log. Two timelines share history up to
+ * their common ancestor (the last delta of their common id prefix); after
+ * that each side has a tail of deltas the other has never seen.
+ */
+
+const { fieldToPointer } = require('./json-patch');
+
+// Metadata that mirrors the session log; rebuilt from the merged log instead of merged
+const HISTORY_POINTERS = ['/sessionHistory', '/historyLog'];
+
+const CONTROL_OPS = new Set(['undo', 'redo']);
+
+// Pointers a delta writes; additive ones (appends, increments) never conflict with each other
+function deltaWrites(delta) {
+  if (CONTROL_OPS.has(delta.op)) return [];
+
+  if (delta.op === 'patch') {
+    return delta.patch.filter(op => op.op !== 'test').flatMap(op => [
+      { path: op.path.replace(/\/-$/, ''), additive: ['append', 'increment'].includes(op.op) || (op.op === 'add' && op.path.endsWith('/-')) },
+      ...(op.op === 'move' ? [{ path: op.from, additive: false }] : [])
+    ]);
+  }
+
+  const pointer = delta.path ?? fieldToPointer(delta.field);
+  return [{
+    path: pointer.replace(/\/-$/, ''),
+    additive: ['append', 'increment'].includes(delta.op) || pointer.endsWith('/-') || (delta.path === undefined && delta.op === 'add')
+  }];
+}
+
+function overlaps(a, b) {
+  return a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+}
+
+// Identical changes made on both sides do not conflict
+function changeOf(delta) {
+  return JSON.stringify(delta.op === 'patch' ? delta.patch : [delta.op, delta.path ?? fieldToPointer(delta.field), delta.value]);
+}
+
+/**
+ * First pointer where two deltas write the same data differently, or null.
+ * Writes under the derived pointers are ignored.
+ */
+function clashingPath(a, b, derived = []) {
+  if (changeOf(a) === changeOf(b)) return null;
+
+  const writesOf = delta => deltaWrites(delta).filter(write => !derived.some(pointer => overlaps(write.path, pointer)));
+  const theirs = writesOf(b);
+  const mine = writesOf(a).find(write => theirs.some(other => overlaps(write.path, other.path) && !(write.additive && other.additive)));
+  return mine ? mine.path : null;
+}
+
+/**
+ * Split two timelines at their common ancestor.
+ * Returns { ancestor, common, localTail, otherTail } where common is the
+ * length of the shared prefix; deltas both sides have (even out of order)
+ * are in neither tail.
+ */
+function splitAtAncestor(local, other) {
+  let common = 0;
+  while (common < local.length && common < other.length && local[common].id === other[common].id) {
+    common++;
+  }
+
+  const localIds = new Set(local.map(delta => delta.id));
+  const otherIds = new Set(other.map(delta => delta.id));
+  return {
+    ancestor: common > 0 ? local[common - 1] : null,
+    common,
+    localTail: local.slice(common).filter(delta => !otherIds.has(delta.id)),
+    otherTail: other.slice(common).filter(delta => !localIds.has(delta.id))
+  };
+}
+
+/**
+ * Deterministic order for deltas from both sides: by timestamp, then by
+ * position in their own tail, so one log keeps its order through
+ * same-millisecond writes. Deltas from the two sides that still tie are
+ * ordered by content, then id, which both contexts see the same way.
+ */
+function interleave(...tails) {
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return tails
+    .flatMap(tail => tail.map((delta, position) => ({ delta, position, time: Date.parse(delta.timestamp) })))
+    .sort((a, b) => (a.time - b.time) || (a.position - b.position) ||
+      compare(changeOf(a.delta), changeOf(b.delta)) || compare(a.delta.id, b.delta.id))
+    .map(entry => entry.delta);
+}
+
+/**
+ * Fields both tails changed differently: [{ path, local: [ids], other: [ids] }]
+ * in path order.
+ */
+function fieldConflicts(localTail, otherTail, derived = HISTORY_POINTERS) {
+  const byPath = new Map();
+
+  for (const mine of localTail) {
+    for (const theirs of otherTail) {
+      const path = clashingPath(mine, theirs, derived);
+      if (path === null) continue;
+
+      const conflict = byPath.get(path) || { path, local: [], other: [] };
+      if (!conflict.local.includes(mine.id)) conflict.local.push(mine.id);
+      if (!conflict.other.includes(theirs.id)) conflict.other.push(theirs.id);
+      byPath.set(path, conflict);
+    }
+  }
+
+  return [...byPath.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+module.exports = {
+  CONTROL_OPS,
+  HISTORY_POINTERS,
+  deltaWrites,
+  overlaps,
+  clashingPath,
+  splitAtAncestor,
+  interleave,
+  fieldConflicts
+};
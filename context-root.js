@@ -0,0 +1,114 @@
+/**
+ * Context Root
+ * Where the OpenCode context directory lives
+ *
+ * Precedence, first match wins:
+ *   1. --context-dir <dir>
+ *   2. the nearest .opencode/ directory above the working directory, below $HOME
+ *   3. $OPENCODE_CONFIG_DIR (exported by opencode-session, so it must not
+ *      hide a project's own context)
+ *   4. $XDG_CONFIG_HOME/opencode
+ *   5. ~/.config/opencode
+ *
+ * The search for .opencode/ stops before the home directory, since
+ * ~/.opencode belongs to the opencode install rather than a project.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PROJECT_DIR = '.opencode';
+
+// $HOME, or the account's home directory when HOME is unset
+function homeDir(env = process.env) {
+  if (env.HOME) return env.HOME;
+  try {
+    return os.homedir() || null;
+  } catch {
+    return null;
+  }
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Nearest <dir>/.opencode from cwd upwards, never reaching home or the filesystem root
+function findProjectDir(cwd, home) {
+  let dir = path.resolve(cwd);
+  const stop = home ? path.resolve(home) : null;
+
+  while (dir !== stop && path.dirname(dir) !== dir) {
+    const candidate = path.join(dir, PROJECT_DIR);
+    if (isDirectory(candidate)) return candidate;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Resolve the context root.
+ * Returns { path, source, candidates: [{ source, path, exists }] } where
+ * candidates lists every location considered, in precedence order.
+ */
+function resolveContextRoot({ contextDir = null, env = process.env, cwd = process.cwd() } = {}) {
+  const home = homeDir(env);
+  const candidates = [
+    { source: '--context-dir', path: contextDir ? path.resolve(cwd, contextDir) : null },
+    { source: `project ${PROJECT_DIR}/`, path: findProjectDir(cwd, home) },
+    { source: 'OPENCODE_CONFIG_DIR', path: env.OPENCODE_CONFIG_DIR ? path.resolve(cwd, env.OPENCODE_CONFIG_DIR) : null },
+    { source: 'XDG_CONFIG_HOME', path: env.XDG_CONFIG_HOME ? path.join(path.resolve(env.XDG_CONFIG_HOME), 'opencode') : null },
+    { source: 'default', path: home ? path.join(home, '.config', 'opencode') : null }
+  ].map(candidate => ({ ...candidate, exists: candidate.path ? isDirectory(candidate.path) : false }));
+
+  const chosen = candidates.find(candidate => candidate.path);
+  if (!chosen) {
+    const error = new Error('Cannot locate the OpenCode context: HOME is unset - pass --context-dir or set OPENCODE_CONFIG_DIR');
+    error.code = 'ENOCONTEXTROOT';
+    throw error;
+  }
+
+  return { path: chosen.path, source: chosen.source, candidates };
+}
+
+/**
+ * Pull --context-dir <dir> / --context-dir=<dir> out of CLI arguments.
+ * Returns { contextDir, args, missing } with the flag removed; missing is
+ * true when the flag was given without a directory.
+ */
+function extractContextDirFlag(args) {
+  const rest = [];
+  let contextDir = null;
+  let missing = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--context-dir' || args[i].startsWith('--context-dir=')) {
+      const inline = args[i].includes('=');
+      const value = inline ? args[i].slice('--context-dir='.length) : args[i + 1];
+      if (!inline) i++;
+
+      if (!value || value.startsWith('--')) {
+        missing = true;
+        if (value) rest.push(value);
+      } else {
+        contextDir = value;
+      }
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { contextDir, args: rest, missing };
+}
+
+module.exports = {
+  PROJECT_DIR,
+  homeDir,
+  findProjectDir,
+  resolveContextRoot,
+  extractContextDirFlag
+};
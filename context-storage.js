@@ -0,0 +1,357 @@
+/**
+ * Context Storage
+ * Storage backends for OpenCode context metadata
+ *
+ * monolithic: context-metadata.json (plus compressed copies) and one delta log
+ * modular:    one JSON file per module under context/, each with its own delta
+ *             log, so the startup fast path only reads context/base.json
+ *
+ * Both backends take the loader and reuse its writer, lock and delta engine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ContextCompressor = require('./context-compressor');
+const { parsePointer, fieldToPointer } = require('./json-patch');
+
+const MODULAR_DIR = 'context';
+const INIT_FILE = '__init__.json';
+const MONOLITHIC_FILE = 'context-metadata.json';
+
+// Same threshold as the monolithic delta log
+const COMPACT_THRESHOLD = 50;
+
+// Top-level metadata keys that live in __init__.json or in a dedicated module
+const RESERVED_KEYS = ['version', 'lastUpdated', 'essential', 'sessionHistory', 'historyLog'];
+
+// How each module file maps onto the metadata document
+const MODULES = {
+  base: {
+    file: 'base.json',
+    // Every essential field except the ones with their own module
+    extract: (doc) => {
+      const { stack, projects, ...rest } = doc.essential || {};
+      return rest;
+    },
+    inject: (doc, data) => {
+      doc.essential = { ...(doc.essential || {}), ...data };
+    }
+  },
+  stack: {
+    file: 'stack.json',
+    extract: (doc) => ({ stack: doc.essential?.stack }),
+    inject: (doc, data) => {
+      if (data.stack !== undefined) doc.essential = { ...(doc.essential || {}), stack: data.stack };
+    }
+  },
+  projects: {
+    file: 'projects.json',
+    extract: (doc) => ({ projects: doc.essential?.projects }),
+    inject: (doc, data) => {
+      if (data.projects !== undefined) doc.essential = { ...(doc.essential || {}), projects: data.projects };
+    }
+  },
+  history: {
+    file: 'history.json',
+    // The recent entries and the pointer to the full log under history/
+    extract: (doc) => ({ sessionHistory: doc.sessionHistory || [], historyLog: doc.historyLog }),
+    inject: (doc, data) => {
+      if (data.sessionHistory !== undefined) doc.sessionHistory = data.sessionHistory;
+      if (data.historyLog !== undefined) doc.historyLog = data.historyLog;
+    }
+  },
+  // Anything else (userPreferences, custom fields, ...)
+  other: {
+    file: 'other.json',
+    extract: (doc) => {
+      const rest = { ...doc };
+      RESERVED_KEYS.forEach(key => delete rest[key]);
+      return rest;
+    },
+    inject: (doc, data) => Object.assign(doc, data)
+  }
+};
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// "modular" when a modular store written by this loader exists, otherwise "monolithic"
+function detectStorageMode(contextPath) {
+  try {
+    const init = readJson(path.join(contextPath, MODULAR_DIR, INIT_FILE));
+    // Older --modularize runs wrote a one-off snapshot without the marker; never trust those
+    return init.storage === 'modular' ? 'modular' : 'monolithic';
+  } catch {
+    return 'monolithic';
+  }
+}
+
+class MonolithicStorage {
+  constructor(loader) {
+    this.loader = loader;
+    this.name = 'monolithic';
+  }
+
+  get metadataPath() {
+    return path.join(this.loader.contextPath, MONOLITHIC_FILE);
+  }
+
+  exists() {
+    return fs.existsSync(this.metadataPath);
+  }
+
+  // base is the stored metadata before the pending deltas
+  async load() {
+    const base = await this.loader.loadMetadata();
+    return { metadata: await this.loader.applyDeltasToMetadata(base), complete: true, base };
+  }
+
+  async save(metadata) {
+    await this.loader.writeMetadataCopies(metadata);
+  }
+
+  async appendDelta(delta) {
+    await this.loader.appendDelta(delta);
+  }
+
+  async compact() {
+    return this.loader.compactDeltas();
+  }
+
+  pendingDeltas() {
+    return { metadata: this.loader.readDeltaLog().length };
+  }
+
+  // Call with the context lock held
+  writeOps(metadata) {
+    return this.loader.metadataWriteOps(metadata);
+  }
+
+  /**
+   * Ops removing the metadata, its compressed copies and the pending delta log.
+   * The pending deltas go to the archive as a segment from base to metadata
+   * (what load() returned), so undo and --at still reach them.
+   */
+  removeOps({ base = null, metadata = null } = {}) {
+    const contextPath = this.loader.contextPath;
+    const files = [
+      this.metadataPath,
+      ...ContextCompressor.ALGORITHMS.map(algorithm => ContextCompressor.compressedPathFor(this.metadataPath, algorithm)),
+      path.join(contextPath, 'context-deltas.jsonl')
+    ];
+
+    const ops = [];
+    const deltas = this.loader.readDeltaLog();
+    if (deltas.length > 0) {
+      ops.push(this.loader.archiveSegmentOp({
+        id: this.loader.createDeltaId(),
+        compactedAt: new Date().toISOString(),
+        reason: 'modularize',
+        base: base || this.loader.createDefaultMetadata(),
+        deltas,
+        result: metadata
+      }));
+    }
+    ops.push(...files.filter(file => fs.existsSync(file)).map(file => ({ type: 'unlink', file })));
+
+    const manifest = ContextCompressor.readManifest(contextPath);
+    if (manifest.files[MONOLITHIC_FILE]) {
+      delete manifest.files[MONOLITHIC_FILE];
+      ops.push({ type: 'write', file: ContextCompressor.manifestPath(contextPath), data: JSON.stringify(manifest, null, 2) });
+    }
+    return ops;
+  }
+}
+
+class ModularStorage {
+  constructor(loader) {
+    this.loader = loader;
+    this.name = 'modular';
+  }
+
+  get dir() {
+    return path.join(this.loader.contextPath, MODULAR_DIR);
+  }
+
+  modulePath(name) {
+    return path.join(this.dir, MODULES[name].file);
+  }
+
+  deltaLogPath(name) {
+    return path.join(this.dir, `${name}.deltas.jsonl`);
+  }
+
+  exists() {
+    return detectStorageMode(this.loader.contextPath) === 'modular';
+  }
+
+  readInit() {
+    return readJson(path.join(this.dir, INIT_FILE));
+  }
+
+  readDeltaLog(name) {
+    const logPath = this.deltaLogPath(name);
+    if (!fs.existsSync(logPath)) return [];
+    return this.loader.parseDeltaLines(this.loader.readContextFile(logPath, 'utf8').trim());
+  }
+
+  // Stored module contents with the module's pending deltas applied
+  loadModule(name) {
+    const module = MODULES[name];
+    const modulePath = this.modulePath(name);
+
+    let doc = {};
+    if (fs.existsSync(modulePath)) {
+      module.inject(doc, JSON.parse(this.loader.readContextFile(modulePath, 'utf8')));
+    }
+
+    for (const delta of this.readDeltaLog(name)) {
+      doc = this.loader.applyDeltaOrSkip(doc, delta);
+    }
+    return module.extract(doc);
+  }
+
+  /**
+   * Assemble metadata from __init__.json and the requested modules.
+   * The fast path reads only base.json; complete is false until every module is in.
+   */
+  async load({ fast = false } = {}) {
+    const init = this.readInit();
+    // Migrations need the whole document
+    const partial = fast && init.version === this.loader.schemaVersion;
+    const names = partial ? ['base'] : Object.keys(MODULES);
+
+    let metadata = { version: init.version, lastUpdated: init.lastUpdated };
+    for (const name of names) {
+      MODULES[name].inject(metadata, this.loadModule(name));
+    }
+
+    if (!partial) {
+      metadata = this.loader.migrateMetadata(metadata);
+    }
+    return { metadata, complete: !partial, modules: names };
+  }
+
+  async save(metadata) {
+    await this.loader.withContextLock(async () => this.loader.writer.commit(this.writeOps(metadata)));
+  }
+
+  // Module files and __init__.json for a full document; pending module deltas are folded in
+  writeOps(metadata) {
+    metadata = this.loader.scrubSecrets(metadata, 'metadata');
+    const ops = Object.keys(MODULES).map(name => ({
+      type: 'write',
+      file: this.modulePath(name),
+      data: JSON.stringify(MODULES[name].extract(metadata), null, 2)
+    }));
+
+    ops.push({
+      type: 'write',
+      file: path.join(this.dir, INIT_FILE),
+      data: JSON.stringify({
+        storage: 'modular',
+        version: metadata.version,
+        schemaVersion: this.loader.schemaVersion,
+        lastUpdated: metadata.lastUpdated,
+        modules: Object.keys(MODULES)
+      }, null, 2)
+    });
+
+    for (const name of Object.keys(MODULES)) {
+      if (fs.existsSync(this.deltaLogPath(name))) {
+        ops.push({ type: 'unlink', file: this.deltaLogPath(name) });
+      }
+    }
+    return ops;
+  }
+
+  // Module files, their delta logs and __init__.json, then context/ once it is empty
+  removeOps() {
+    return [
+      ...[
+        ...Object.keys(MODULES).flatMap(name => [this.modulePath(name), this.deltaLogPath(name)]),
+        path.join(this.dir, INIT_FILE)
+      ].filter(file => fs.existsSync(file)).map(file => ({ type: 'unlink', file })),
+      { type: 'rmdir', file: this.dir }
+    ];
+  }
+
+  // Module a delta belongs to, or null when it touches several modules (or the envelope)
+  moduleForDelta(delta) {
+    const pointers = delta.op === 'patch'
+      ? delta.patch.flatMap(op => (op.from !== undefined ? [op.path, op.from] : [op.path]))
+      : [delta.path ?? fieldToPointer(delta.field)];
+
+    const names = new Set(pointers.map(pointer => this.moduleForPointer(pointer)));
+    return names.size === 1 && !names.has(null) ? [...names][0] : null;
+  }
+
+  moduleForPointer(pointer) {
+    const [top, key] = parsePointer(pointer);
+
+    if (top === 'essential') {
+      if (key === undefined) return null;
+      if (key === 'stack' || key === 'projects') return key;
+      return 'base';
+    }
+    if (top === 'sessionHistory' || top === 'historyLog') return 'history';
+    if (top === undefined || RESERVED_KEYS.includes(top)) return null;
+    return 'other';
+  }
+
+  async appendDelta(delta) {
+    await this.loader.withContextLock(async () => {
+      const name = this.moduleForDelta(delta);
+
+      // A delta spanning modules is applied straight away and every module rewritten
+      if (!name) {
+        const { metadata } = await this.load();
+        await this.save(this.loader.applySingleDelta(metadata, delta));
+        return;
+      }
+
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.loader.appendContextLine(this.deltaLogPath(name), JSON.stringify(delta));
+
+      if (this.readDeltaLog(name).length >= COMPACT_THRESHOLD) {
+        console.log(`📦 Compacting ${name} module deltas...`);
+        await this.compact([name]);
+      }
+    });
+  }
+
+  // Fold each module's delta log into its module file
+  // Returns { compacted, modules } like the monolithic { compacted } count
+  async compact(names = Object.keys(MODULES)) {
+    return this.loader.withContextLock(async () => {
+      const pending = names.filter(name => fs.existsSync(this.deltaLogPath(name)));
+      if (pending.length === 0) return { compacted: 0, modules: [] };
+
+      const compacted = pending.reduce((sum, name) => sum + this.readDeltaLog(name).length, 0);
+      const init = this.readInit();
+      const lastUpdated = new Date().toISOString();
+      this.loader.writer.commit([
+        ...pending.flatMap(name => [
+          { type: 'write', file: this.modulePath(name), data: JSON.stringify(this.loadModule(name), null, 2) },
+          { type: 'unlink', file: this.deltaLogPath(name) }
+        ]),
+        { type: 'write', file: path.join(this.dir, INIT_FILE), data: JSON.stringify({ ...init, lastUpdated }, null, 2) }
+      ]);
+      console.log(`✅ Module deltas compacted (${pending.join(', ')})`);
+      return { compacted, modules: pending };
+    });
+  }
+
+  pendingDeltas() {
+    return Object.fromEntries(Object.keys(MODULES).map(name => [name, this.readDeltaLog(name).length]));
+  }
+}
+
+module.exports = {
+  MODULES,
+  MODULAR_DIR,
+  detectStorageMode,
+  MonolithicStorage,
+  ModularStorage
+};
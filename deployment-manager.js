@@ -8,21 +8,57 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { ProviderRegistry } = require('./deployment-providers');
+const VercelProvider = require('./vercel-provider');
+const RenderProvider = require('./render-provider');
+const SupabaseProvider = require('./supabase-provider');
 
 class DeploymentManager {
-  constructor() {
+  /**
+   * options.home      directory scanned for projects (default $HOME)
+   * options.registry  ProviderRegistry to use (default: Vercel, Render and Supabase)
+   * options.platforms { projectName: platform } overrides, on top of
+   *                   deploymentPlatforms in automation-config.json
+   * options.apiBase   { platform: baseUrl } for talking to a stub API
+   */
+  constructor(options = {}) {
+    this.home = options.home || process.env.HOME;
+    this.registry = options.registry || DeploymentManager.defaultRegistry();
+    this.apiBase = options.apiBase || {};
+    this.config = this.loadConfig();
+    this.platformOverrides = { ...this.config.deploymentPlatforms, ...options.platforms };
     this.projects = this.discoverProjects();
     this.credentials = this.loadCredentials();
+    this.cache = this.loadCache();
+  }
+
+  static defaultRegistry() {
+    return new ProviderRegistry()
+      .register(VercelProvider)
+      .register(RenderProvider)
+      .register(SupabaseProvider);
+  }
+
+  loadConfig() {
+    const configPath = path.join(this.home, '.config', 'opencode', 'automation-config.json');
+    try {
+      if (fs.existsSync(configPath)) {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      }
+    } catch (error) {
+      console.log('⚠️  Error loading automation-config.json:', error.message);
+    }
+    return {};
   }
 
   loadCredentials() {
-    const credPath = path.join(process.env.HOME, '.config', 'opencode', 'credentials.json');
+    const credPath = path.join(this.home, '.config', 'opencode', 'credentials.json');
     try {
       if (fs.existsSync(credPath)) {
         const content = fs.readFileSync(credPath, 'utf8');
         const creds = JSON.parse(content);
         // Only return if tokens are present (not just template)
-        if (creds.vercel_token && creds.vercel_token.length > 0) {
+        if (Object.entries(creds).some(([name, value]) => name.endsWith('_token') && value)) {
           return creds;
         }
       }
@@ -32,11 +68,48 @@ class DeploymentManager {
     return {};
   }
 
-  async checkDeploymentStatus(projectName) {
+  // IDs providers resolved through their APIs, kept between runs:
+  // { platform: { projectName: ids } } in deployment-cache.json
+  loadCache() {
+    const cachePath = path.join(this.home, '.config', 'opencode', 'deployment-cache.json');
+    try {
+      if (fs.existsSync(cachePath)) {
+        return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      }
+    } catch (error) {
+      console.log('⚠️  Ignoring deployment-cache.json:', error.message);
+    }
+    return {};
+  }
+
+  getCachedId(platform, projectName) {
+    return this.cache[platform]?.[projectName] || null;
+  }
+
+  // ids of null forgets the entry
+  setCachedId(platform, projectName, ids) {
+    const entries = { ...this.cache[platform] };
+    if (ids) entries[projectName] = ids;
+    else delete entries[projectName];
+    this.cache = { ...this.cache, [platform]: entries };
+
+    const cacheDir = path.join(this.home, '.config', 'opencode');
+    try {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(path.join(cacheDir, 'deployment-cache.json'), JSON.stringify(this.cache, null, 2));
+    } catch (error) {
+      console.log('⚠️  Could not save deployment-cache.json:', error.message);
+    }
+  }
+
+  // Status on one of the project's targets, the primary one by default;
+  // options go to the provider (Vercel takes { target }, 'production' by default)
+  async checkDeploymentStatus(projectName, platform = null, options = {}) {
     const project = this.projects[projectName];
     if (!project) throw new Error(`Project ${projectName} not found`);
+    platform = platform || project.platform;
 
-    console.log(`🔍 Checking deployment status for ${projectName}...`);
+    console.log(`🔍 Checking ${platform} deployment status for ${projectName}...`);
 
     // Skip non-web projects
     if (projectName.startsWith('.') || projectName === 'nerd-fonts') {
@@ -44,108 +117,72 @@ class DeploymentManager {
     }
 
     try {
-      switch (project.platform) {
-        case 'vercel':
-          return await this.checkVercelDeployment(project, projectName);
-        case 'render':
-          return await this.checkRenderDeployment(project, projectName);
-        default:
-          throw new Error(`Unsupported platform: ${project.platform}`);
-      }
+      const provider = this.getProvider(platform);
+      if (!provider) return this.noProvider(platform);
+      return await provider.status(project, projectName, options);
     } catch (error) {
       console.error(`❌ Error checking ${projectName}:`, error.message);
       return { status: 'error', error: error.message };
     }
   }
 
-  async checkVercelDeployment(project, projectName) {
-    const token = this.credentials.vercel_token;
-    if (!token) {
-      return { status: 'no_credentials', message: 'Vercel token not configured' };
-    }
+  // { platform: status } for every target of the project
+  async checkTargets(projectName, options = {}) {
+    const project = this.projects[projectName];
+    if (!project) throw new Error(`Project ${projectName} not found`);
 
-    // Get project info from hardcoded IDs
-    const projectId = await this.extractProjectId(projectName);
-    if (!projectId) {
-      return { status: 'no_project_id', message: 'Vercel project ID not found' };
+    const results = {};
+    for (const target of project.targets) {
+      results[target.platform] = await this.checkDeploymentStatus(projectName, target.platform, options);
     }
+    return results;
+  }
 
-    try {
-      const response = await fetch(`https://api.vercel.com/v6/deployments?projectId=${projectId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      const latestDeployment = data.deployments[0];
-
-      if (!latestDeployment) {
-        return { status: 'no_deployments', message: 'No deployments found' };
-      }
+  // Provider for a platform, null when none is registered for it
+  getProvider(platform) {
+    return this.registry.create(platform, this);
+  }
 
-      return {
-        status: latestDeployment.state === 'READY' ? 'success' : 'failed',
-        deployment: {
-          id: latestDeployment.id,
-          url: latestDeployment.url,
-          state: latestDeployment.state,
-          createdAt: latestDeployment.created,
-          readyState: latestDeployment.readyState
-        }
-      };
-    } catch (error) {
-      return { status: 'api_error', error: error.message };
-    }
+  noProvider(platform) {
+    return { status: 'unsupported', message: `No deployment provider registered for ${platform}` };
   }
 
-  async checkRenderDeployment(project, projectName) {
-    const token = this.credentials.render_token;
-    if (!token) {
-      return { status: 'no_credentials', message: 'Render token not configured' };
+  /**
+   * Where a project deploys, as [{ platform, via }] with the primary target
+   * first: an override, then every platform whose marker files exist (or
+   * package.json, for a Supabase client), with Vercel as before when no
+   * hosting platform matched. via names the marker file, 'override' or 'default'.
+   */
+  detectTargets(projectName, projectPath, packageJson = {}) {
+    let targets = this.registry.detect(projectPath);
+
+    // A Supabase client without supabase/config.toml still has a database to check
+    const usesSupabase = packageJson.dependencies?.['@supabase/supabase-js'] ||
+                         packageJson.devDependencies?.['@supabase/supabase-js'];
+    if (usesSupabase && !targets.some(target => target.platform === 'supabase')) {
+      targets.push({ platform: 'supabase', via: 'package.json' });
     }
 
-    try {
-      const response = await fetch('https://api.render.com/v1/services', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    // fly.toml and render.yaml build the Dockerfile themselves
+    if (targets.some(target => DeploymentManager.DOCKER_BUILDERS.includes(target.platform))) {
+      targets = targets.filter(target => target.platform !== 'docker');
+    }
 
-      const services = await response.json();
-      const service = services.find(s => s.name === projectName);
-      
-      if (!service) {
-        return { status: 'service_not_found', message: `Service ${project.name} not found` };
-      }
+    const override = this.platformOverrides[projectName];
+    if (override) {
+      return [{ platform: override, via: 'override' }, ...targets.filter(target => target.platform !== override)];
+    }
 
-      return {
-        status: service.status === 'live' ? 'success' : 'failed',
-        service: {
-          id: service.id,
-          name: service.name,
-          status: service.status,
-          url: service.serviceDetails.url
-        }
-      };
-    } catch (error) {
-      return { status: 'api_error', error: error.message };
+    // Supabase alone is a backend; the frontend still deploys somewhere
+    if (!targets.some(target => target.platform !== 'supabase')) {
+      targets.unshift({ platform: 'vercel', via: 'default' });
     }
+    return targets;
   }
 
   discoverProjects() {
     const projects = {};
-    const homeDir = process.env.HOME;
+    const homeDir = this.home;
     
     // Find all directories in home that look like projects
     try {
@@ -180,10 +217,12 @@ class DeploymentManager {
           
           // Detect runtime
           const runtime = this.detectRuntime(projectPath);
+          const targets = this.detectTargets(dir, projectPath, packageJson);
           
           projects[dir] = {
             path: projectPath,
-            platform: 'vercel',
+            platform: targets[0].platform,
+            targets,
             ciFile: hasWorkflows ? ciFile : null,
             discovered: true,
             tanstack: {
@@ -209,6 +248,12 @@ class DeploymentManager {
     }
   }
 
+  static describeDetection(target) {
+    if (target.via === 'override') return 'set by --platform or deploymentPlatforms';
+    if (target.via === 'default') return 'no marker file found, assumed';
+    return `found ${target.via}`;
+  }
+
   detectRuntime(projectPath) {
     if (fs.existsSync(path.join(projectPath, 'bun.lockb'))) return 'bun';
     if (fs.existsSync(path.join(projectPath, 'deno.jsonc')) || fs.existsSync(path.join(projectPath, 'deno.json'))) return 'deno';
@@ -218,71 +263,79 @@ class DeploymentManager {
     return 'npm'; // default
   }
 
-  async getVercelProjectId(projectName) {
-    const token = this.credentials.vercel_token;
-    if (!token) return null;
-    
-    try {
-      const response = await fetch('https://api.vercel.com/v9/projects', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) return null;
-      
-      const data = await response.json();
-      const project = data.projects?.find(p => p.name === projectName);
-      return project?.id || null;
-    } catch (error) {
-      console.error(`Error fetching Vercel project ID for ${projectName}:`, error.message);
-      return null;
-    }
+  // filters: { target, branch, state, since (ms timestamp), limit }
+  async getDeploymentHistory(projectName, filters = {}) {
+    const project = this.projects[projectName];
+    if (!project) throw new Error(`Project ${projectName} not found`);
+
+    console.log(`📜 Fetching deployment history for ${projectName}...`);
+    const provider = this.getProvider(project.platform);
+    if (!provider) return this.noProvider(project.platform);
+    return provider.history(project, projectName, filters);
   }
 
-  async extractProjectId(projectName) {
-    // First try to get from Vercel API (dynamic)
-    const vercelId = await this.getVercelProjectId(projectName);
-    if (vercelId) {
-      return vercelId;
-    }
-    
-    // Fallback to hardcoded IDs for existing projects
-    const fallbackIds = {
-      'iron-tracker': 'prj_N6TsygtXBFHmvOKU5X4MJRyPCxtM',
-      'toku-tracker': 'prj_qdCLIGkFCaFpwe2QuvRSzsAB6lKB'
+  // Fixed-width table of history rows: created, target, state, duration, commit, branch, author
+  static formatHistory(deployments) {
+    const formatDuration = ms => {
+      if (ms === null || ms === undefined) return '-';
+      const seconds = Math.round(ms / 1000);
+      return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
     };
-    return fallbackIds[projectName] || null;
+    const rows = deployments.map(deployment => [
+      deployment.createdAt ? new Date(deployment.createdAt).toISOString().slice(0, 16).replace('T', ' ') : '-',
+      deployment.target,
+      deployment.state,
+      formatDuration(deployment.duration),
+      deployment.sha ? deployment.sha.slice(0, 7) : '-',
+      deployment.branch || '-',
+      deployment.author || '-'
+    ]);
+    const header = ['CREATED', 'TARGET', 'STATE', 'DURATION', 'COMMIT', 'BRANCH', 'AUTHOR'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+    return [header, ...rows]
+      .map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd())
+      .join('\n');
+  }
+
+  // --since as an ISO date or a relative age like 7d, 12h or 30m; ms timestamp, NaN when unreadable
+  static parseSince(value) {
+    const relative = value.match(/^(\d+)([dhm])$/);
+    if (relative) {
+      const unit = { d: 86400000, h: 3600000, m: 60000 }[relative[2]];
+      return Date.now() - Number(relative[1]) * unit;
+    }
+    return Date.parse(value);
   }
 
   async getDeploymentLogs(projectName, deploymentId) {
     console.log(`📋 Fetching deployment logs for ${projectName}...`);
     
     const project = this.projects[projectName];
-    const token = this.credentials.vercel_token;
-    
-    if (!token) {
-      return { error: 'Vercel token not configured' };
-    }
+    if (!project) throw new Error(`Project ${projectName} not found`);
 
-    try {
-      const response = await fetch(`https://api.vercel.com/v2/deployments/${deploymentId}/logs`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+    const provider = this.getProvider(project.platform);
+    const result = provider ? await provider.logs(project, projectName, deploymentId) : this.noProvider(project.platform);
+    return result.status === 'success' ? { logs: result.logs } : { error: result.error || result.message };
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  async redeploy(projectName, deploymentId = null) {
+    const project = this.projects[projectName];
+    if (!project) throw new Error(`Project ${projectName} not found`);
 
-      const logs = await response.text();
-      return { logs };
-    } catch (error) {
-      return { error: error.message };
-    }
+    console.log(`🔁 Redeploying ${projectName} on ${project.platform}...`);
+    const provider = this.getProvider(project.platform);
+    if (!provider) return this.noProvider(project.platform);
+    return provider.redeploy(project, projectName, deploymentId);
+  }
+
+  async rollback(projectName, deploymentId) {
+    const project = this.projects[projectName];
+    if (!project) throw new Error(`Project ${projectName} not found`);
+
+    console.log(`⏪ Rolling back ${projectName} on ${project.platform}...`);
+    const provider = this.getProvider(project.platform);
+    if (!provider) return this.noProvider(project.platform);
+    return provider.rollback(project, projectName, deploymentId);
   }
 
   async monitorAllProjects() {
@@ -291,10 +344,13 @@ class DeploymentManager {
     const results = {};
     
     for (const [projectName, project] of Object.entries(this.projects)) {
-      results[projectName] = await this.checkDeploymentStatus(projectName);
+      results[projectName] = await this.checkTargets(projectName);
       
       console.log(`\n--- ${projectName.toUpperCase()} ---`);
-      console.log(JSON.stringify(results[projectName], null, 2));
+      for (const target of project.targets) {
+        console.log(`🛰️  ${target.platform} (${DeploymentManager.describeDetection(target)}):`);
+        console.log(JSON.stringify(results[projectName][target.platform], null, 2));
+      }
       
       // Show tech stack details
       if (project.discovered) {
@@ -342,17 +398,18 @@ class DeploymentManager {
   setupCredentials() {
     console.log('🔐 Setting up deployment credentials...');
     console.log('\nTo get your tokens:');
-    console.log('1. Vercel: https://vercel.com/account/tokens');
+    console.log('1. Vercel: https://vercel.com/account/tokens (vercel_team_id scopes lookups to a team)');
     console.log('2. Render: https://dashboard.render.com/u/settings?add-api-key');
-    console.log('3. Supabase: https://supabase.com/account/tokens\n');
+    console.log('3. Supabase: https://supabase.com/dashboard/account/tokens\n');
     
     const credentials = {
       vercel_token: process.env.VERCEL_TOKEN || 'your_vercel_token_here',
+      vercel_team_id: process.env.VERCEL_TEAM_ID || '',
       render_token: process.env.RENDER_TOKEN || 'your_render_token_here',
       supabase_token: process.env.SUPABASE_TOKEN || 'your_supabase_token_here'
     };
     
-    const credDir = path.join(process.env.HOME, '.config', 'opencode');
+    const credDir = path.join(this.home, '.config', 'opencode');
     if (!fs.existsSync(credDir)) {
       fs.mkdirSync(credDir, { recursive: true });
     }
@@ -392,11 +449,44 @@ class DeploymentManager {
   }
 }
 
+// Platforms whose marker file already covers building the project's Dockerfile
+DeploymentManager.DOCKER_BUILDERS = ['fly', 'render'];
+DeploymentManager.HISTORY_TARGETS = ['production', 'preview'];
+DeploymentManager.HISTORY_STATES = ['READY', 'ERROR', 'BUILDING', 'QUEUED', 'INITIALIZING', 'CANCELED'];
+
 // CLI Interface
+// Removes `--name <value>` from args and returns the value (null when absent)
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+  const value = args.splice(index, 2)[1];
+  if (!value || value.startsWith('--')) {
+    console.error(`Value required after ${name}`);
+    process.exit(1);
+  }
+  return value;
+}
+
 async function main() {
-  const manager = new DeploymentManager();
-  const command = process.argv[2];
-  const projectName = process.argv[3];
+  const args = process.argv.slice(2);
+
+  // --platform <name> overrides detection for the project named on the command line
+  const platformOverride = takeOption(args, '--platform');
+  const target = takeOption(args, '--target');
+  const branch = takeOption(args, '--branch');
+  const state = takeOption(args, '--state');
+  const since = takeOption(args, '--since');
+  const limit = takeOption(args, '--limit');
+  const json = args.includes('--json');
+  if (json) args.splice(args.indexOf('--json'), 1);
+
+  // --json keeps stdout for the document; progress lines go to stderr
+  const print = console.log;
+  if (json) console.log = console.error;
+
+  const [command, projectName] = args;
+  const platforms = platformOverride && projectName ? { [projectName]: platformOverride } : {};
+  const manager = new DeploymentManager({ platforms });
 
   switch (command) {
     case 'setup':
@@ -408,17 +498,62 @@ async function main() {
         console.log('Checking all projects...');
         await manager.monitorAllProjects();
       } else {
-        const status = await manager.checkDeploymentStatus(projectName);
+        if (target && ![...DeploymentManager.HISTORY_TARGETS, 'any'].includes(target)) {
+          console.error(`--target must be one of: ${DeploymentManager.HISTORY_TARGETS.join(', ')}, any`);
+          process.exit(1);
+        }
+        // "any" looks at the latest deployment whatever its target
+        const status = await manager.checkTargets(projectName, target ? { target: target === 'any' ? null : target } : {});
         console.log(JSON.stringify(status, null, 2));
       }
       break;
+
+    case 'history': {
+      if (!projectName) {
+        console.error('Project name required for history');
+        process.exit(1);
+      }
+      if (target && !DeploymentManager.HISTORY_TARGETS.includes(target)) {
+        console.error(`--target must be one of: ${DeploymentManager.HISTORY_TARGETS.join(', ')}`);
+        process.exit(1);
+      }
+      if (state && !DeploymentManager.HISTORY_STATES.includes(state.toUpperCase())) {
+        console.error(`--state must be one of: ${DeploymentManager.HISTORY_STATES.join(', ')}`);
+        process.exit(1);
+      }
+      const filters = { target, branch, state: state ? state.toUpperCase() : null, limit: limit ? Number(limit) : 20 };
+      if (!Number.isInteger(filters.limit) || filters.limit < 1) {
+        console.error('--limit must be a positive number');
+        process.exit(1);
+      }
+      if (since) {
+        filters.since = DeploymentManager.parseSince(since);
+        if (Number.isNaN(filters.since)) {
+          console.error('--since takes a date (2026-10-01) or an age (7d, 12h, 30m)');
+          process.exit(1);
+        }
+      }
+
+      const history = await manager.getDeploymentHistory(projectName, filters);
+      if (json) {
+        print(JSON.stringify(history, null, 2));
+      } else if (history.status !== 'success') {
+        console.log(`❌ ${history.message || history.error}`);
+      } else if (history.deployments.length === 0) {
+        console.log('No deployments match');
+      } else {
+        console.log(DeploymentManager.formatHistory(history.deployments));
+      }
+      if (history.status !== 'success') process.exit(1);
+      break;
+    }
       
     case 'logs':
       if (!projectName) {
         console.error('Project name required for logs');
         process.exit(1);
       }
-      const deploymentId = process.argv[4];
+      const deploymentId = args[2];
       if (!deploymentId) {
         console.error('Deployment ID required for logs');
         process.exit(1);
@@ -427,6 +562,22 @@ async function main() {
       console.log(logs.logs || logs.error);
       break;
       
+    case 'redeploy':
+      if (!projectName) {
+        console.error('Project name required for redeploy');
+        process.exit(1);
+      }
+      console.log(JSON.stringify(await manager.redeploy(projectName, args[2]), null, 2));
+      break;
+
+    case 'rollback':
+      if (!projectName || !args[2]) {
+        console.error('Project name and deployment ID required for rollback');
+        process.exit(1);
+      }
+      console.log(JSON.stringify(await manager.rollback(projectName, args[2]), null, 2));
+      break;
+      
     case 'test':
       if (!projectName) {
         console.error('Project name required for testing');
@@ -447,13 +598,29 @@ async function main() {
 Usage:
   node deployment.js setup                    # Setup credentials
   node deployment.js check [project]          # Check deployment status
+  node deployment.js history <project>        # List earlier deployments, newest first
   node deployment.js logs <project> <id>      # Get deployment logs
+  node deployment.js redeploy <project> [id]  # Redeploy latest (or given) deployment
+  node deployment.js rollback <project> <id>  # Point production back at a deployment
   node deployment.js test <project>           # Run local tests
   node deployment.js monitor                  # Monitor all projects
 
+Options:
+  --platform <name>   Make this the named project's primary target instead
+                      of the first one detected from its files
+  --target <target>   check: production (default), preview or any
+                      history: only production or preview deployments
+  --branch <branch>   history: only deployments of this git branch
+  --state <state>     history: READY, ERROR, BUILDING, QUEUED, INITIALIZING or CANCELED
+  --since <when>      history: a date (2026-10-01) or an age (7d, 12h, 30m)
+  --limit <n>         history: number of deployments (default 20)
+  --json              history: print the result as JSON
+
 Examples:
   node deployment.js check iron-tracker
   node deployment.js test toku-tracker
+  node deployment.js check api-server --platform render
+  node deployment.js history iron-tracker --target production --since 7d
   node deployment.js monitor
       `);
   }
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const DeploymentManager = require('./deployment-manager');
+const { DeploymentProvider } = require('./deployment-providers');
+
+// Test utilities
+const testHome = path.join(__dirname, 'test-deployments');
+
+function createProject(name, files = {}) {
+  const projectPath = path.join(testHome, name);
+  fs.mkdirSync(projectPath, { recursive: true });
+  fs.writeFileSync(path.join(projectPath, 'package.json'), JSON.stringify({ name }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, file), content);
+  }
+}
+
+function writeConfig(file, data) {
+  fs.mkdirSync(path.join(testHome, '.config', 'opencode'), { recursive: true });
+  fs.writeFileSync(path.join(testHome, '.config', 'opencode', file), JSON.stringify(data));
+}
+
+// Local API stub: routes maps "METHOD /path" to a JSON body, a status code, or
+// a function of the request URL returning either; every request is recorded
+// as "METHOD /path?query"
+async function startStub(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const handler = routes[`${req.method} ${req.url.split('?')[0]}`];
+    const route = typeof handler === 'function' ? handler(new URL(req.url, 'http://stub')) : handler;
+    res.writeHead(typeof route === 'number' ? route : route === undefined ? 404 : 200, { 'Content-Type': 'application/json' });
+    res.end(typeof route === 'object' ? JSON.stringify(route) : '{}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+beforeEach(() => {
+  fs.rmSync(testHome, { recursive: true, force: true });
+  fs.mkdirSync(testHome, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(testHome, { recursive: true, force: true });
+});
+
+describe('DeploymentManager', () => {
+  describe('Provider Selection', () => {
+    it('should pick the platform from marker files, overrides and the Vercel default', async () => {
+      createProject('web-app', { 'vercel.json': '{}' });
+      createProject('api-server', { 'render.yaml': 'services: []' });
+      createProject('docs-site', { 'netlify.toml': '[build]' });
+      createProject('plain-app');
+      createProject('legacy-app');
+      createProject('moved-app', { 'vercel.json': '{}' });
+      writeConfig('automation-config.json', { deploymentPlatforms: { 'moved-app': 'render' } });
+
+      const manager = new DeploymentManager({ home: testHome, platforms: { 'plain-app': 'render' } });
+      const platforms = Object.fromEntries(
+        Object.entries(manager.projects).map(([name, project]) => [name, [project.platform, project.targets[0].via]])
+      );
+
+      expect(platforms).toEqual({
+        'web-app': ['vercel', 'vercel.json'],
+        'api-server': ['render', 'render.yaml'],
+        'docs-site': ['netlify', 'netlify.toml'],
+        'plain-app': ['render', 'override'],
+        'legacy-app': ['vercel', 'default'],
+        'moved-app': ['render', 'override']
+      });
+
+      // Detected, but no provider registered for it
+      const status = await manager.checkDeploymentStatus('docs-site');
+      expect(status).toEqual({ status: 'unsupported', message: 'No deployment provider registered for netlify' });
+    });
+
+    it('should record every target a project deploys to and how it was found', () => {
+      createProject('full-stack', {
+        '.vercel/project.json': '{"projectId":"prj_1","orgId":"team_1"}',
+        'supabase/config.toml': 'project_id = "full-stack"'
+      });
+      createProject('fly-app', { 'fly.toml': 'app = "fly-app"', 'Dockerfile': 'FROM node:20' });
+      createProject('container', { 'Dockerfile': 'FROM node:20' });
+      createProject('pinned', { 'vercel.json': '{}', 'render.yaml': 'services: []' });
+
+      const manager = new DeploymentManager({ home: testHome, platforms: { pinned: 'render' } });
+
+      expect(manager.projects['full-stack'].targets).toEqual([
+        { platform: 'vercel', via: '.vercel/project.json' },
+        { platform: 'supabase', via: 'supabase/config.toml' }
+      ]);
+      expect(manager.projects['fly-app'].targets).toEqual([{ platform: 'fly', via: 'fly.toml' }]);
+      expect(manager.projects['container'].targets).toEqual([{ platform: 'docker', via: 'Dockerfile' }]);
+      expect(manager.projects['pinned'].targets).toEqual([
+        { platform: 'render', via: 'override' },
+        { platform: 'vercel', via: 'vercel.json' }
+      ]);
+      expect(DeploymentManager.describeDetection(manager.projects['pinned'].targets[0])).toBe('set by --platform or deploymentPlatforms');
+    });
+
+    it('should route every operation through a provider added to the registry', async () => {
+      const calls = [];
+      class FlyProvider extends DeploymentProvider {
+        async status(project, projectName) {
+          calls.push(['status', projectName]);
+          return { status: 'success', token: this.token };
+        }
+
+        async rollback(project, projectName, id) {
+          calls.push(['rollback', projectName, id]);
+          return { status: 'success', deployment: { id } };
+        }
+      }
+      FlyProvider.platform = 'fly';
+      FlyProvider.markers = ['fly.toml'];
+
+      createProject('edge-app', { 'fly.toml': 'app = "edge-app"' });
+      writeConfig('credentials.json', { vercel_token: 'vercel-test', fly_token: 'fly-test' });
+
+      const registry = DeploymentManager.defaultRegistry().register(FlyProvider);
+      const manager = new DeploymentManager({ home: testHome, registry });
+
+      expect(manager.projects['edge-app'].platform).toBe('fly');
+      expect(await manager.checkDeploymentStatus('edge-app')).toEqual({ status: 'success', token: 'fly-test' });
+      expect(await manager.rollback('edge-app', 'dep_1')).toEqual({ status: 'success', deployment: { id: 'dep_1' } });
+      expect((await manager.redeploy('edge-app')).status).toBe('unsupported');
+      expect(calls).toEqual([['status', 'edge-app'], ['rollback', 'edge-app', 'dep_1']]);
+    });
+  });
+
+  describe('Vercel Project IDs', () => {
+    const deployments = { deployments: [{ uid: 'dpl_1', url: 'app.vercel.app', state: 'READY' }] };
+
+    it('should read the project and team from .vercel/project.json', async () => {
+      const stub = await startStub({ 'GET /v6/deployments': deployments });
+      try {
+        createProject('linked-app', { '.vercel/project.json': '{"projectId":"prj_linked","orgId":"team_abc"}' });
+        createProject('personal-app', { '.vercel/project.json': '{"projectId":"prj_mine","orgId":"user_1"}' });
+        writeConfig('credentials.json', { vercel_token: 'vercel-test' });
+
+        const manager = new DeploymentManager({ home: testHome, apiBase: { vercel: stub.url } });
+        const status = await manager.checkDeploymentStatus('linked-app');
+        await manager.checkDeploymentStatus('personal-app');
+
+        expect(status.status).toBe('success');
+        expect(status.deployment.id).toBe('dpl_1');
+        expect(stub.requests).toEqual([
+          'GET /v6/deployments?projectId=prj_linked&limit=1&target=production&teamId=team_abc',
+          'GET /v6/deployments?projectId=prj_mine&limit=1&target=production'
+        ]);
+      } finally {
+        await stub.close();
+      }
+    });
+
+    it('should look unlinked projects up once and cache the result', async () => {
+      const stub = await startStub({
+        'GET /v9/projects/web-app': { id: 'prj_api', name: 'web-app' },
+        'GET /v6/deployments': deployments
+      });
+      try {
+        createProject('web-app', { 'vercel.json': '{}' });
+        createProject('unknown-app', { 'vercel.json': '{}' });
+        writeConfig('credentials.json', { vercel_token: 'vercel-test', vercel_team_id: 'team_xyz' });
+
+        const first = new DeploymentManager({ home: testHome, apiBase: { vercel: stub.url } });
+        expect((await first.checkDeploymentStatus('web-app')).status).toBe('success');
+        expect(await first.checkDeploymentStatus('unknown-app'))
+          .toEqual({ status: 'no_project_id', message: 'Vercel project ID not found' });
+
+        const second = new DeploymentManager({ home: testHome, apiBase: { vercel: stub.url } });
+        expect((await second.checkDeploymentStatus('web-app')).status).toBe('success');
+
+        expect(stub.requests).toEqual([
+          'GET /v9/projects/web-app?teamId=team_xyz',
+          'GET /v6/deployments?projectId=prj_api&limit=1&target=production&teamId=team_xyz',
+          'GET /v9/projects/unknown-app?teamId=team_xyz',
+          'GET /v6/deployments?projectId=prj_api&limit=1&target=production&teamId=team_xyz'
+        ]);
+        expect(second.getCachedId('vercel', 'web-app')).toEqual({ projectId: 'prj_api', teamId: 'team_xyz' });
+      } finally {
+        await stub.close();
+      }
+    });
+  });
+
+  describe('Supabase Health', () => {
+    const ref = 'abcdefghijklmnopqrst';
+
+    function createSupabaseProject(name, files = {}) {
+      createProject(name, {
+        'vercel.json': '{}',
+        'supabase/config.toml': 'project_id = "local-name"\n',
+        'supabase/migrations/20260101000000_init.sql': 'create table a();',
+        'supabase/migrations/20260201000000_add_b.sql': 'create table b();',
+        'supabase/functions/send-email/index.ts': '',
+        'supabase/functions/_shared/cors.ts': '',
+        ...files
+      });
+    }
+
+    it('should resolve the project ref and report migrations and edge functions', async () => {
+      const stub = await startStub({
+        [`GET /v1/projects/${ref}`]: { id: ref, name: 'App DB', status: 'ACTIVE_HEALTHY', region: 'us-east-1' },
+        [`GET /v1/projects/${ref}/database/migrations`]: [{ version: '20260101000000', name: 'init' }, { version: '20251201000000', name: 'legacy' }],
+        [`GET /v1/projects/${ref}/functions`]: [{ slug: 'cleanup', status: 'ACTIVE', version: 3, updated_at: 1760000000000 }]
+      });
+      try {
+        // config.toml's project_id is a local name here, so the env file decides
+        createSupabaseProject('db-app', { '.env.local': `export VITE_SUPABASE_URL="https://${ref}.supabase.co"\n` });
+        createProject('no-ref-app', { 'supabase/config.toml': 'project_id = "local-name"\n' });
+        writeConfig('credentials.json', { supabase_token: 'sbp-test' });
+
+        const manager = new DeploymentManager({ home: testHome, apiBase: { supabase: stub.url } });
+        const status = await manager.checkDeploymentStatus('db-app', 'supabase');
+
+        expect(status).toEqual({
+          status: 'pending',
+          project: { ref, name: 'App DB', status: 'ACTIVE_HEALTHY', region: 'us-east-1' },
+          migrations: {
+            local: 2,
+            remote: 2,
+            pending: ['20260201000000_add_b.sql'],
+            remoteOnly: ['20251201000000']
+          },
+          functions: [
+            { slug: 'cleanup', deployed: true, status: 'ACTIVE', version: 3, updatedAt: 1760000000000 },
+            { slug: 'send-email', deployed: false, status: 'NOT_DEPLOYED', version: null, updatedAt: null }
+          ]
+        });
+        expect(stub.requests.every(request => request.startsWith(`GET /v1/projects/${ref}`))).toBe(true);
+
+        expect((await manager.checkDeploymentStatus('no-ref-app', 'supabase')).status).toBe('no_project_ref');
+      } finally {
+        await stub.close();
+      }
+    });
+
+    it('should show Supabase next to the Vercel status in monitor', async () => {
+      const stub = await startStub({
+        'GET /v6/deployments': { deployments: [{ uid: 'dpl_1', url: 'app.vercel.app', state: 'READY' }] },
+        [`GET /v1/projects/${ref}`]: { id: ref, name: 'App DB', status: 'INACTIVE' },
+        [`GET /v1/projects/${ref}/database/migrations`]: [],
+        [`GET /v1/projects/${ref}/functions`]: []
+      });
+      try {
+        createSupabaseProject('db-app', {
+          '.vercel/project.json': '{"projectId":"prj_db"}',
+          'supabase/.temp/project-ref': `${ref}\n`
+        });
+        createProject('client-app', {
+          'package.json': JSON.stringify({ dependencies: { '@supabase/supabase-js': '^2.0.0' } })
+        });
+        writeConfig('credentials.json', { vercel_token: 'vercel-test', supabase_token: 'sbp-test' });
+
+        const manager = new DeploymentManager({ home: testHome, apiBase: { vercel: stub.url, supabase: stub.url } });
+        expect(manager.projects['client-app'].targets).toEqual([
+          { platform: 'vercel', via: 'default' },
+          { platform: 'supabase', via: 'package.json' }
+        ]);
+
+        const results = await manager.monitorAllProjects();
+        expect(Object.keys(results['db-app'])).toEqual(['vercel', 'supabase']);
+        expect(results['db-app'].vercel.status).toBe('success');
+        expect(results['db-app'].supabase.status).toBe('failed');
+        expect(results['db-app'].supabase.project.status).toBe('INACTIVE');
+      } finally {
+        await stub.close();
+      }
+    });
+  });
+
+  describe('Deployment History', () => {
+    // Newest first, served two per page; pagination.next is the `until` of the next page
+    const all = [
+      { uid: 'dpl_6', state: 'READY', target: 'production', created: 6000, buildingAt: 6000, ready: 96000, meta: { githubCommitSha: 'aaaaaaa6111', githubCommitRef: 'main', githubCommitAuthorLogin: 'dev-a' } },
+      { uid: 'dpl_5', state: 'READY', target: null, created: 5000, meta: { githubCommitSha: 'bbbbbbb5222', githubCommitRef: 'feature', githubCommitAuthorName: 'Dev B' } },
+      { uid: 'dpl_4', state: 'ERROR', target: 'production', created: 4000, buildingAt: 4000, ready: 16000, meta: { githubCommitRef: 'main' } },
+      { uid: 'dpl_3', state: 'READY', target: null, created: 3000, meta: { githubCommitRef: 'feature' }, creator: { username: 'cli-user' } },
+      { uid: 'dpl_2', state: 'READY', target: 'production', created: 2000, meta: { githubCommitRef: 'main' } },
+      { uid: 'dpl_1', state: 'READY', target: null, created: 1000, meta: { githubCommitRef: 'feature' } }
+    ];
+    const deploymentsRoute = url => {
+      const until = Number(url.searchParams.get('until') || Infinity);
+      const page = all.filter(deployment => deployment.created < until).slice(0, 2);
+      const older = all.some(deployment => deployment.created < page[page.length - 1].created);
+      return { deployments: page, pagination: { next: older ? page[page.length - 1].created : null } };
+    };
+
+    it('should page through deployments and filter by branch', async () => {
+      const stub = await startStub({ 'GET /v6/deployments': deploymentsRoute });
+      try {
+        createProject('web-app', { '.vercel/project.json': '{"projectId":"prj_web"}' });
+        writeConfig('credentials.json', { vercel_token: 'vercel-test' });
+
+        const manager = new DeploymentManager({ home: testHome, apiBase: { vercel: stub.url } });
+        const history = await manager.getDeploymentHistory('web-app', { branch: 'feature', limit: 3 });
+
+        expect(history.status).toBe('success');
+        expect(history.deployments.map(deployment => deployment.id)).toEqual(['dpl_5', 'dpl_3', 'dpl_1']);
+        expect(history.deployments[0]).toEqual({
+          id: 'dpl_5',
+          url: undefined,
+          state: 'READY',
+          target: 'preview',
+          branch: 'feature',
+          sha: 'bbbbbbb5222',
+          author: 'Dev B',
+          createdAt: 5000,
+          duration: null
+        });
+        expect(history.deployments[1].author).toBe('cli-user');
+        expect(stub.requests).toEqual([
+          'GET /v6/deployments?projectId=prj_web&limit=100',
+          'GET /v6/deployments?projectId=prj_web&limit=100&until=5000',
+          'GET /v6/deployments?projectId=prj_web&limit=100&until=3000'
+        ]);
+
+        const table = DeploymentManager.formatHistory((await manager.getDeploymentHistory('web-app', { limit: 1 })).deployments);
+        expect(table.split('\n')).toEqual([
+          'CREATED           TARGET      STATE  DURATION  COMMIT   BRANCH  AUTHOR',
+          '1970-01-01 00:00  production  READY  1m 30s    aaaaaaa  main    dev-a'
+        ]);
+      } finally {
+        await stub.close();
+      }
+    });
+
+    it('should pass target, state and since to the API and treat latest as production', async () => {
+      const stub = await startStub({ 'GET /v6/deployments': { deployments: [all[1]], pagination: { next: null } } });
+      try {
+        createProject('web-app', { '.vercel/project.json': '{"projectId":"prj_web"}' });
+        writeConfig('credentials.json', { vercel_token: 'vercel-test' });
+
+        const manager = new DeploymentManager({ home: testHome, apiBase: { vercel: stub.url } });
+        await manager.getDeploymentHistory('web-app', { target: 'preview', state: 'ready', since: 1500, limit: 5 });
+        await manager.checkDeploymentStatus('web-app');
+        await manager.checkDeploymentStatus('web-app', 'vercel', { target: null });
+
+        expect(stub.requests).toEqual([
+          'GET /v6/deployments?projectId=prj_web&limit=5&target=preview&state=READY&since=1500',
+          'GET /v6/deployments?projectId=prj_web&limit=1&target=production',
+          'GET /v6/deployments?projectId=prj_web&limit=1'
+        ]);
+        expect(DeploymentManager.parseSince('2026-10-01')).toBe(Date.parse('2026-10-01'));
+        expect(Number.isNaN(DeploymentManager.parseSince('last week'))).toBe(true);
+      } finally {
+        await stub.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Deployment Providers
+ * Platform-neutral interface the DeploymentManager talks to, and the registry
+ * that maps a platform name to its implementation
+ *
+ * A provider is a class taking the manager, with:
+ *   discover()                          projects the platform account knows about
+ *   status(project, projectName, opts)  latest deployment state
+ *   history(project, projectName, f)    earlier deployments, filtered by
+ *                                       target, branch, state, since and limit
+ *   logs(project, projectName, id)      build/runtime logs of one deployment
+ *   redeploy(project, projectName, id?) start a new deployment
+ *   rollback(project, projectName, id?) point production back at an earlier one
+ * Each returns a result object with a `status` field; missing operations
+ * answer { status: 'unsupported' } instead of throwing.
+ *
+ * Register new platforms with registry.register(Provider) - Provider.platform
+ * names it and Provider.markers lists the files that say a project deploys there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Files that say where a project deploys, for platforms with or without a
+// provider; in priority order, so hosting comes before the database
+const PLATFORM_MARKERS = {
+  vercel: ['vercel.json', '.vercel/project.json'],
+  render: ['render.yaml'],
+  netlify: ['netlify.toml'],
+  fly: ['fly.toml'],
+  docker: ['Dockerfile'],
+  supabase: ['supabase/config.toml']
+};
+
+class DeploymentProvider {
+  constructor(manager) {
+    this.manager = manager;
+    // Overridable per manager, e.g. to point at a local stub of the API
+    this.apiBase = manager.apiBase?.[this.platform] || this.constructor.apiBase;
+  }
+
+  get platform() {
+    return this.constructor.platform;
+  }
+
+  // API token from credentials.json, e.g. vercel_token
+  get token() {
+    return this.manager.credentials[`${this.platform}_token`];
+  }
+
+  noCredentials() {
+    const name = this.platform.charAt(0).toUpperCase() + this.platform.slice(1);
+    return { status: 'no_credentials', message: `${name} token not configured` };
+  }
+
+  unsupported(operation) {
+    return { status: 'unsupported', message: `${this.platform} does not support ${operation}` };
+  }
+
+  // JSON (or text) body of an authenticated call to apiBase + endpoint; throws on HTTP errors
+  async request(endpoint, { method = 'GET', body, text = false, headers = {} } = {}) {
+    const response = await fetch(`${this.apiBase}${endpoint}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return text ? response.text() : response.json();
+  }
+
+  async discover() {
+    return this.unsupported('discover');
+  }
+
+  async status() {
+    return this.unsupported('status');
+  }
+
+  async history() {
+    return this.unsupported('history');
+  }
+
+  async logs() {
+    return this.unsupported('logs');
+  }
+
+  async redeploy() {
+    return this.unsupported('redeploy');
+  }
+
+  async rollback() {
+    return this.unsupported('rollback');
+  }
+}
+
+DeploymentProvider.platform = null;
+DeploymentProvider.apiBase = null;
+DeploymentProvider.markers = [];
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.markers = Object.fromEntries(Object.entries(PLATFORM_MARKERS).map(([platform, files]) => [platform, [...files]]));
+  }
+
+  register(Provider) {
+    if (!Provider.platform) throw new Error('A deployment provider needs a static platform name');
+    this.providers.set(Provider.platform, Provider);
+    const markers = this.markers[Provider.platform] || [];
+    this.markers[Provider.platform] = [...new Set([...markers, ...(Provider.markers || [])])];
+    return this;
+  }
+
+  has(platform) {
+    return this.providers.has(platform);
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  create(platform, manager) {
+    const Provider = this.providers.get(platform);
+    return Provider ? new Provider(manager) : null;
+  }
+
+  // Platforms a project's files point at: [{ platform, via }] in marker order
+  detect(projectPath) {
+    return Object.entries(this.markers).flatMap(([platform, files]) => {
+      const via = files.find(file => fs.existsSync(path.join(projectPath, file)));
+      return via ? [{ platform, via }] : [];
+    });
+  }
+}
+
+module.exports = {
+  PLATFORM_MARKERS,
+  DeploymentProvider,
+  ProviderRegistry
+};
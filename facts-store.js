@@ -0,0 +1,189 @@
+/**
+ * Facts Store
+ * Deduplicated facts extracted from the markdown context files
+ *
+ * Every list item and **Key**: value line becomes a fact identified by a
+ * stable content hash. The same fact appearing in several sections or files
+ * is stored once with one occurrence per place, so the markdown can be
+ * regenerated from the facts and an edit lands everywhere the fact appears.
+ */
+
+const crypto = require('crypto');
+const { parseMarkdown, walkSections, listItems, keyValue } = require('./markdown-parser');
+
+const FACT_SOURCES = ['SESSION_CONTEXT_COMPLETE.md', 'QUICK_REFERENCE.md'];
+
+// Marker, text and trailing whitespace of a line the parser found to be a list item or paragraph line
+const LIST_LINE = /^(\s*(?:[-*+]|\d{1,9}[.)])\s+)(.*?)(\s*)$/;
+const PLAIN_LINE = /^(\s*)(.*?)(\s*)$/;
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Hash of what a fact says, ignoring formatting and key case
+function contentHash(fact) {
+  const normalized = fact.kind === 'kv'
+    ? `kv\n${collapse(fact.key).toLowerCase()}\n${collapse(fact.value)}`
+    : `item\n${collapse(fact.text)}`;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// The fact on one list item or paragraph line, or null if it holds none
+function parseLine(line, isListItem) {
+  const match = line.match(isListItem ? LIST_LINE : PLAIN_LINE);
+  if (!match || !match[2]) return null;
+  const [, prefix, body, suffix] = match;
+
+  const pair = keyValue(body);
+  if (pair) {
+    return { kind: 'kv', key: pair.label, value: pair.value, prefix, separator: pair.separator, suffix };
+  }
+
+  // Free text only counts as a fact inside a list
+  return isListItem ? { kind: 'item', text: body, prefix, suffix } : null;
+}
+
+/**
+ * Per-line parse of a document: { section, fact } with fact null for
+ * headings, code, tables and prose. The structure comes from
+ * markdown-parser, so only real list items and paragraph lines hold facts.
+ */
+function parseDocument(content) {
+  const lines = String(content).split('\n');
+  const parsed = lines.map(() => ({ section: null, fact: null }));
+
+  // Parents are visited before their subsections, which then claim their own lines
+  walkSections(parseMarkdown(content).root, node => {
+    for (let line = node.line; line <= node.endLine; line++) {
+      parsed[line - 1].section = node.level === 0 ? null : node.plainTitle;
+    }
+
+    for (const block of node.blocks) {
+      if (block.type === 'list') {
+        listItems(block).forEach(item => { parsed[item.line - 1].fact = parseLine(lines[item.line - 1], true); });
+      } else if (block.type === 'paragraph') {
+        block.lines.forEach(({ line }) => { parsed[line - 1].fact = parseLine(lines[line - 1], false); });
+      }
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Every fact occurrence in a markdown document, outside code fences.
+ * Lines are 1-based; section is the nearest heading above the line.
+ */
+function extractOccurrences(content, file) {
+  return parseDocument(content)
+    .map(({ section, fact }, index) => fact && { ...fact, file, line: index + 1, section, hash: contentHash(fact) })
+    .filter(Boolean);
+}
+
+function factFields(occurrence) {
+  return occurrence.kind === 'kv'
+    ? { kind: 'kv', key: occurrence.key, value: occurrence.value }
+    : { kind: 'item', text: occurrence.text };
+}
+
+/**
+ * Build the fact store from documents ([{ file, content }]), keeping ids and
+ * firstSeen from the previous store. Facts no longer found anywhere are kept
+ * with no occurrences so their provenance is not lost.
+ */
+function buildFactStore(previous, documents, now = new Date().toISOString()) {
+  const previousFacts = Object.values(previous?.facts || {}).filter(fact => fact.hash);
+  const previousByHash = new Map(previousFacts.map(fact => [fact.hash, fact]));
+  const byHash = new Map();
+  const facts = {};
+
+  for (const { file, content } of documents) {
+    for (const occurrence of extractOccurrences(content, file)) {
+      let fact = byHash.get(occurrence.hash);
+
+      if (!fact) {
+        const known = previousByHash.get(occurrence.hash);
+        let id = known?.id || `fact:${occurrence.hash.slice(0, 12)}`;
+        // A fact edited into another fact's original content keeps both ids apart
+        while (facts[id]) id = `${id}-${occurrence.hash.slice(12, 16)}`;
+
+        fact = {
+          id,
+          hash: occurrence.hash,
+          ...factFields(occurrence),
+          firstSeen: known?.firstSeen || now,
+          lastSeen: now,
+          occurrences: []
+        };
+        facts[id] = fact;
+        byHash.set(occurrence.hash, fact);
+      }
+
+      const { kind, key, value, text, hash, ...place } = occurrence;
+      fact.occurrences.push(place);
+    }
+  }
+
+  for (const fact of previousFacts) {
+    if (!byHash.has(fact.hash) && !facts[fact.id]) {
+      facts[fact.id] = { ...fact, occurrences: [] };
+    }
+  }
+
+  return { facts, lastUpdated: now };
+}
+
+function renderFact(fact, occurrence) {
+  const body = fact.kind === 'kv'
+    ? `**${fact.key}${occurrence.separator || '**: '}${fact.value}`
+    : fact.text;
+  return `${occurrence.prefix || ''}${body}${occurrence.suffix || ''}`;
+}
+
+/**
+ * Rewrite every occurrence of every fact in one document from the store.
+ * Occurrences are found by line number, or by searching for the fact's last
+ * known content if the file moved around since extraction.
+ * Returns { content, updated, missing }.
+ */
+function regenerateDocument(content, file, store) {
+  const lines = content.split('\n');
+  const parsed = parseDocument(content).map(({ fact }) => fact);
+  let updated = 0;
+  const missing = [];
+
+  for (const fact of Object.values(store.facts)) {
+    for (const occurrence of fact.occurrences.filter(o => o.file === file)) {
+      const matches = index => parsed[index] && contentHash(parsed[index]) === fact.hash;
+
+      let index = occurrence.line - 1;
+      if (!matches(index)) {
+        index = lines.findIndex((_, i) => matches(i));
+      }
+      if (index < 0) {
+        missing.push({ id: fact.id, file, line: occurrence.line });
+        continue;
+      }
+
+      const rendered = renderFact(fact, occurrence);
+      if (lines[index] !== rendered) {
+        lines[index] = rendered;
+        updated++;
+      }
+      // Don't let a second occurrence of the same fact claim this line again
+      parsed[index] = null;
+    }
+  }
+
+  return { content: lines.join('\n'), updated, missing };
+}
+
+module.exports = {
+  FACT_SOURCES,
+  contentHash,
+  extractOccurrences,
+  buildFactStore,
+  renderFact,
+  regenerateDocument
+};
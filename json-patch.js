@@ -0,0 +1,323 @@
+/**
+ * JSON Patch engine for context deltas
+ *
+ * Implements RFC 6902 (add, remove, replace, move, copy, test) over RFC 6901
+ * JSON Pointers, plus a few extension ops used by the loader:
+ *   set       - like add, but creates missing parent objects
+ *   increment - add a number to the value at path (missing counts as 0)
+ *   merge     - RFC 7396 merge patch into the object at path
+ *   pull      - remove every array element equal to value
+ *   append    - push value onto the array at path (created if missing), keeping
+ *               only the last limit elements when limit is given
+ *
+ * Every function returns a new document; the input is never modified, so a
+ * failed operation or patch leaves the caller's data untouched.
+ */
+
+const RFC6902_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+const EXTENSION_OPS = ['set', 'increment', 'merge', 'pull', 'append'];
+const SUPPORTED_OPS = [...RFC6902_OPS, ...EXTENSION_OPS];
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer: ${JSON.stringify(pointer)}`);
+  }
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function toPointer(segments) {
+  return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+// Legacy delta fields are dotted paths ("essential.projects"); pointers pass through
+function fieldToPointer(field) {
+  if (typeof field !== 'string') {
+    throw new Error(`Invalid delta field: ${JSON.stringify(field)}`);
+  }
+  if (field === '' || field.startsWith('/')) return field;
+  return toPointer(field.split('.'));
+}
+
+function arrayIndex(array, segment, { allowEnd = false } = {}) {
+  if (segment === '-' && allowEnd) return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(segment)) {
+    throw new Error(`Invalid array index "${segment}"`);
+  }
+
+  const index = Number(segment);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (index > max) {
+    throw new Error(`Array index ${index} is out of bounds`);
+  }
+  return index;
+}
+
+function hasKey(container, key) {
+  return Array.isArray(container)
+    ? /^(0|[1-9]\d*)$/.test(key) && Number(key) < container.length
+    : Object.prototype.hasOwnProperty.call(container, key);
+}
+
+function getValue(doc, segments) {
+  let current = doc;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !hasKey(current, segment)) {
+      throw new Error(`Path ${toPointer(segments)} does not exist`);
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+// Resolve the container holding the last segment; createParents builds missing objects
+function resolveParent(doc, segments, { createParents = false } = {}) {
+  let current = doc;
+
+  for (const segment of segments.slice(0, -1)) {
+    if (current === null || typeof current !== 'object') {
+      throw new Error(`Path ${toPointer(segments)} goes through a non-container value`);
+    }
+
+    if (!hasKey(current, segment)) {
+      if (!createParents || Array.isArray(current)) {
+        throw new Error(`Path ${toPointer(segments)} does not exist`);
+      }
+      current[segment] = {};
+    } else if (createParents && (current[segment] === null || typeof current[segment] !== 'object')) {
+      current[segment] = {};
+    }
+
+    current = current[segment];
+  }
+
+  if (current === null || typeof current !== 'object') {
+    throw new Error(`Path ${toPointer(segments)} goes through a non-container value`);
+  }
+  return current;
+}
+
+function addValue(doc, segments, value, options = {}) {
+  if (segments.length === 0) return value;
+
+  const parent = resolveParent(doc, segments, options);
+  const key = segments[segments.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, { allowEnd: true }), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+function removeValue(doc, segments) {
+  if (segments.length === 0) {
+    throw new Error('Cannot remove the document root');
+  }
+
+  const parent = resolveParent(doc, segments);
+  const key = segments[segments.length - 1];
+
+  if (!hasKey(parent, key)) {
+    throw new Error(`Path ${toPointer(segments)} does not exist`);
+  }
+
+  const removed = parent[key];
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key), 1);
+  } else {
+    delete parent[key];
+  }
+  return removed;
+}
+
+function mergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return clone(patch);
+  }
+
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target) ? target : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+function applyOperationInPlace(doc, operation) {
+  const { op } = operation;
+  if (!SUPPORTED_OPS.includes(op)) {
+    throw new Error(`Unknown patch op "${op}" (supported: ${SUPPORTED_OPS.join(', ')})`);
+  }
+
+  const segments = parsePointer(operation.path);
+
+  switch (op) {
+    case 'add':
+      return addValue(doc, segments, clone(operation.value));
+
+    case 'remove':
+      removeValue(doc, segments);
+      return doc;
+
+    case 'replace':
+      getValue(doc, segments);
+      if (segments.length === 0) return clone(operation.value);
+      resolveParent(doc, segments)[segments[segments.length - 1]] = clone(operation.value);
+      return doc;
+
+    case 'move': {
+      const from = parsePointer(operation.from);
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw new Error(`Cannot move ${operation.from} into its own child ${operation.path}`);
+      }
+      const value = removeValue(doc, from);
+      return addValue(doc, segments, value);
+    }
+
+    case 'copy':
+      return addValue(doc, segments, clone(getValue(doc, parsePointer(operation.from))));
+
+    case 'test': {
+      const actual = getValue(doc, segments);
+      if (!deepEqual(actual, operation.value)) {
+        const error = new Error(
+          `Test failed at ${operation.path}: expected ${JSON.stringify(operation.value)}, found ${JSON.stringify(actual)}`
+        );
+        error.code = 'EPATCHTEST';
+        throw error;
+      }
+      return doc;
+    }
+
+    case 'set': {
+      if (segments.length === 0) return clone(operation.value);
+      const parent = resolveParent(doc, segments, { createParents: true });
+      const key = segments[segments.length - 1];
+      if (Array.isArray(parent)) {
+        const index = arrayIndex(parent, key, { allowEnd: true });
+        parent[index] = clone(operation.value);
+      } else {
+        parent[key] = clone(operation.value);
+      }
+      return doc;
+    }
+
+    case 'increment': {
+      const amount = operation.value === undefined ? 1 : operation.value;
+      if (typeof amount !== 'number') {
+        throw new Error(`increment needs a numeric value, got ${JSON.stringify(amount)}`);
+      }
+      const parent = resolveParent(doc, segments, { createParents: true });
+      const key = segments[segments.length - 1];
+      const current = hasKey(parent, key) ? parent[key] : 0;
+      if (typeof current !== 'number') {
+        throw new Error(`Cannot increment non-number at ${operation.path}`);
+      }
+      parent[key] = current + amount;
+      return doc;
+    }
+
+    case 'merge': {
+      if (segments.length === 0) return mergePatch(doc, operation.value);
+      const parent = resolveParent(doc, segments, { createParents: true });
+      const key = segments[segments.length - 1];
+      parent[key] = mergePatch(parent[key], operation.value);
+      return doc;
+    }
+
+    case 'pull': {
+      const target = getValue(doc, segments);
+      if (!Array.isArray(target)) {
+        throw new Error(`Cannot pull from non-array at ${operation.path}`);
+      }
+      const kept = target.filter(item => !deepEqual(item, operation.value));
+      if (segments.length === 0) return kept;
+      resolveParent(doc, segments)[segments[segments.length - 1]] = kept;
+      return doc;
+    }
+
+    case 'append': {
+      const parent = resolveParent(doc, segments, { createParents: true });
+      const key = segments[segments.length - 1];
+      const current = hasKey(parent, key) ? parent[key] : [];
+      if (!Array.isArray(current)) {
+        throw new Error(`Cannot append to non-array at ${operation.path}`);
+      }
+      const appended = [...current, clone(operation.value)];
+      parent[key] = operation.limit === undefined ? appended : appended.slice(-operation.limit);
+      return doc;
+    }
+  }
+
+  return doc;
+}
+
+// Value at pointer, or undefined when the path does not exist
+function lookup(doc, pointer) {
+  try {
+    return getValue(doc, parsePointer(pointer));
+  } catch {
+    return undefined;
+  }
+}
+
+function applyOperation(doc, operation) {
+  return applyOperationInPlace(clone(doc), operation);
+}
+
+// Apply an RFC 6902 patch document atomically: all operations succeed or none do
+function applyPatch(doc, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error('A patch must be an array of operations');
+  }
+  return operations.reduce(applyOperationInPlace, clone(doc));
+}
+
+// Check an operation's shape without applying it
+function validateOperation(operation) {
+  if (!operation || !SUPPORTED_OPS.includes(operation.op)) {
+    throw new Error(`Unknown patch op "${operation?.op}" (supported: ${SUPPORTED_OPS.join(', ')})`);
+  }
+  parsePointer(operation.path);
+  if (operation.op === 'move' || operation.op === 'copy') {
+    parsePointer(operation.from);
+  }
+  if (['add', 'replace', 'test', 'set', 'merge', 'pull', 'append'].includes(operation.op) && !('value' in operation)) {
+    throw new Error(`"${operation.op}" requires a value`);
+  }
+  if (operation.op === 'append' && operation.limit !== undefined && !(Number.isInteger(operation.limit) && operation.limit > 0)) {
+    throw new Error(`append limit must be a positive integer, got ${JSON.stringify(operation.limit)}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_OPS,
+  applyOperation,
+  applyPatch,
+  validateOperation,
+  lookup,
+  parsePointer,
+  toPointer,
+  fieldToPointer,
+  deepEqual
+};
@@ -0,0 +1,410 @@
+/**
+ * Markdown Parser
+ * CommonMark-aware parser for the markdown context files
+ *
+ * Produces a typed section tree: headings (ATX and Setext) nest by level,
+ * and each section holds its blocks - paragraphs, lists (nested), fenced
+ * code, tables, block quotes and thematic breaks. A leading YAML-style front
+ * matter block is parsed into a flat object. Headings and list markers
+ * inside code fences are left alone.
+ *
+ * Extraction rules then find values such as the last session date or the
+ * user's stack by key, front matter or section heading, so renamed headings
+ * only need a rule change instead of a code change.
+ */
+
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*)|$)/;
+const BLOCKQUOTE = /^ {0,3}>[ ]?(.*)$/;
+const TABLE_DELIMITER = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+// "**Key**: value" or "**Key:** value", optionally after a list marker
+const KEY_VALUE = /^\*\*([^*]+?)((?:\*\*:|:\*\*)[ \t]*)(.*?)[ \t]*$/;
+
+const DEFAULT_EXTRACTION_RULES = {
+  lastSession: { keys: ['Session Date', 'Last Session'], type: 'string' },
+  stack: { keys: ['User Stack', 'Tech Stack'], sections: ['tech stack'], type: 'string' },
+  projects: { keys: ['User Projects', 'Projects'], sections: ['projects'], type: 'list' }
+};
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+// Heading/key text without inline markup: **bold**, `code`, [links](...)
+function plainText(text) {
+  return String(text ?? '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|\*|`)(.+?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// { key, value } plus the label and separator as written, for rewriting the line
+function keyValue(text) {
+  const match = String(text).trim().match(KEY_VALUE);
+  return match && match[3] ? { key: plainText(match[1]), value: match[3], label: match[1].trim(), separator: match[2] } : null;
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(',').map(item => parseScalar(item)).filter(item => item !== '');
+  }
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+// Flat YAML subset: "key: value", inline [a, b] lists and "- item" lists under a key
+function parseFrontMatter(lines) {
+  const data = {};
+  let listKey = null;
+
+  for (const line of lines) {
+    if (isBlank(line) || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s+-\s+(.*)$/) || (listKey && line.match(/^-\s+(.*)$/));
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([^:#]+):(.*)$/);
+    if (pair) {
+      const key = pair[1].trim();
+      if (pair[2].trim() === '') {
+        data[key] = [];
+        listKey = key;
+      } else {
+        data[key] = parseScalar(pair[2]);
+        listKey = null;
+      }
+    }
+  }
+
+  return data;
+}
+
+function newSection(level, title, line) {
+  return { type: 'section', level, title, plainTitle: plainText(title), line, endLine: line, blocks: [], children: [] };
+}
+
+/**
+ * Parse markdown into { frontMatter, root }, where root is a level 0 section
+ * holding the preamble blocks and the top-level sections as children.
+ */
+function parseMarkdown(content) {
+  const lines = String(content).replace(/\r\n?/g, '\n').split('\n');
+  let i = 0;
+  let frontMatter = null;
+
+  if (/^---[ \t]*$/.test(lines[0] || '')) {
+    const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)[ \t]*$/.test(line));
+    if (end > 0) {
+      frontMatter = parseFrontMatter(lines.slice(1, end));
+      i = end + 1;
+    }
+  }
+
+  const root = newSection(0, null, 1);
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const closeSectionsFrom = (level, endLine) => {
+    while (stack.length > 1 && current().level >= level) {
+      stack.pop().endLine = endLine;
+    }
+  };
+
+  const openSection = (level, title, line) => {
+    closeSectionsFrom(level, line - 1);
+    const section = newSection(level, title, line);
+    current().children.push(section);
+    stack.push(section);
+  };
+
+  const startsBlock = line =>
+    FENCE_OPEN.test(line) || ATX_HEADING.test(line) || BLOCKQUOTE.test(line) ||
+    THEMATIC_BREAK.test(line) || LIST_ITEM.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_OPEN);
+    if (fence) {
+      const marker = fence[2];
+      let end = i + 1;
+      while (end < lines.length && !new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`).test(lines[end])) {
+        end++;
+      }
+      current().blocks.push({ type: 'code', lang: fence[3] || null, text: lines.slice(i + 1, end).join('\n'), line: i + 1 });
+      i = end + 1;
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      openSection(heading[1].length, heading[2] || '', i + 1);
+      i++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      current().blocks.push({ type: 'thematicBreak', line: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const header = splitTableRow(line);
+      const rows = [];
+      let end = i + 2;
+      while (end < lines.length && !isBlank(lines[end]) && lines[end].includes('|')) {
+        rows.push(splitTableRow(lines[end]));
+        end++;
+      }
+      current().blocks.push({ type: 'table', header, rows, line: i + 1 });
+      i = end;
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i);
+      current().blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      let end = i;
+      while (end < lines.length && BLOCKQUOTE.test(lines[end])) {
+        quoted.push(lines[end].match(BLOCKQUOTE)[1]);
+        end++;
+      }
+      current().blocks.push({ type: 'blockquote', text: quoted.join('\n'), line: i + 1 });
+      i = end;
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or another block; a Setext underline turns it into a heading
+    const paragraph = [];
+    let end = i;
+    let setextLevel = 0;
+    while (end < lines.length && !isBlank(lines[end])) {
+      if (paragraph.length > 0) {
+        const underline = lines[end].match(SETEXT_UNDERLINE);
+        if (underline) {
+          setextLevel = underline[1][0] === '=' ? 1 : 2;
+          break;
+        }
+        if (startsBlock(lines[end])) break;
+      }
+      paragraph.push({ text: lines[end].trim(), line: end + 1 });
+      end++;
+    }
+
+    if (setextLevel) {
+      openSection(setextLevel, paragraph.map(p => p.text).join(' '), i + 1);
+      i = end + 1;
+      continue;
+    }
+
+    current().blocks.push({ type: 'paragraph', text: paragraph.map(p => p.text).join('\n'), lines: paragraph, line: i + 1 });
+    i = end;
+  }
+
+  closeSectionsFrom(1, lines.length);
+  root.endLine = lines.length;
+  return { type: 'document', frontMatter, root, lines };
+}
+
+// Consecutive list items (and their indented continuation lines), nested by indentation
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const rootList = { type: 'list', ordered: /\d/.test(first[2]), items: [], line: start + 1 };
+  const stack = [{ indent: first[1].length, list: rootList }];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      // A blank line only continues the list if more items or indented content follow
+      let next = i + 1;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      if (next < lines.length && (LIST_ITEM.test(lines[next]) || /^\s{2,}\S/.test(lines[next])) &&
+          !FENCE_OPEN.test(lines[next]) && !ATX_HEADING.test(lines[next])) {
+        i = next;
+        continue;
+      }
+      break;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item && !THEMATIC_BREAK.test(line)) {
+      const indent = item[1].length;
+      while (stack.length > 1 && indent < stack[stack.length - 1].indent) stack.pop();
+
+      let top = stack[stack.length - 1];
+      const parentItem = top.list.items[top.list.items.length - 1];
+      if (indent > top.indent && parentItem) {
+        const child = { type: 'list', ordered: /\d/.test(item[2]), items: [], line: i + 1 };
+        parentItem.children.push(child);
+        stack.push({ indent, list: child });
+        top = stack[stack.length - 1];
+      }
+
+      let text = item[3] || '';
+      let checked = null;
+      const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+      if (task) {
+        checked = task[1] !== ' ';
+        text = task[2];
+      }
+
+      top.list.items.push({ text: text.trim(), checked, line: i + 1, children: [] });
+      i++;
+      continue;
+    }
+
+    // Indented continuation of the previous item; anything else ends the list
+    if (/^\s+\S/.test(line) && !FENCE_OPEN.test(line)) {
+      const top = stack[stack.length - 1];
+      const last = top.list.items[top.list.items.length - 1];
+      last.text = `${last.text} ${line.trim()}`;
+      i++;
+      continue;
+    }
+    break;
+  }
+
+  return { block: rootList, next: i };
+}
+
+// Depth-first walk over a section and its subsections
+function walkSections(section, visit) {
+  visit(section);
+  section.children.forEach(child => walkSections(child, visit));
+}
+
+function listItems(list) {
+  return list.items.flatMap(item => [item, ...item.children.flatMap(listItems)]);
+}
+
+/**
+ * Key/value pairs in a section subtree, in document order: bold-key lines in
+ * paragraphs and list items, and the first two columns of table rows.
+ */
+function keyValues(section) {
+  const pairs = [];
+
+  walkSections(section, node => {
+    for (const block of node.blocks) {
+      if (block.type === 'paragraph') {
+        block.lines.forEach(({ text, line }) => {
+          const pair = keyValue(text);
+          if (pair) pairs.push({ ...pair, line, section: node });
+        });
+      } else if (block.type === 'list') {
+        listItems(block).forEach(item => {
+          const pair = keyValue(item.text);
+          if (pair) pairs.push({ ...pair, line: item.line, section: node });
+        });
+      } else if (block.type === 'table') {
+        block.rows.filter(row => row.length >= 2 && row[0]).forEach(row => {
+          pairs.push({ key: plainText(row[0]), value: row[1], line: block.line, section: node });
+        });
+      }
+    }
+  });
+
+  return pairs;
+}
+
+function matchesAny(text, patterns) {
+  return patterns.some(pattern => new RegExp(pattern, 'i').test(text));
+}
+
+function coerce(value, type) {
+  if (type === 'list') {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => plainText(item)).filter(Boolean);
+  }
+  return Array.isArray(value) ? value.map(item => plainText(item)).join(', ') : plainText(value);
+}
+
+/**
+ * Apply extraction rules to a parsed document (or a section of one).
+ * Each rule: { keys: [names], headings?: [patterns], sections?: [patterns], type: 'string' | 'list' }
+ *   keys      - front matter keys and **Key**: value labels to look for (case-insensitive)
+ *   headings  - only accept key matches under sections whose heading matches
+ *   sections  - fallback: use the list items under a matching heading as the value
+ * Returns { field: value } for the fields that were found.
+ */
+function extractFields(doc, rules = DEFAULT_EXTRACTION_RULES, section = doc.root) {
+  const result = {};
+  const pairs = keyValues(section);
+
+  for (const [field, rule] of Object.entries(rules)) {
+    const keys = (rule.keys || []).map(key => key.toLowerCase());
+    const type = rule.type || 'string';
+
+    const frontMatterKey = section === doc.root && doc.frontMatter &&
+      Object.keys(doc.frontMatter).find(key => keys.includes(key.toLowerCase()) || key === field);
+    if (frontMatterKey) {
+      result[field] = coerce(doc.frontMatter[frontMatterKey], type);
+      continue;
+    }
+
+    const pair = pairs.find(p => keys.includes(p.key.toLowerCase()) &&
+      (!rule.headings || matchesAny(p.section.plainTitle || '', rule.headings)));
+    if (pair) {
+      result[field] = coerce(pair.value, type);
+      continue;
+    }
+
+    if (rule.sections) {
+      let found = null;
+      walkSections(section, node => {
+        if (found || !node.plainTitle || !matchesAny(node.plainTitle, rule.sections)) return;
+        const list = node.blocks.find(block => block.type === 'list');
+        if (list) found = list.items.map(item => item.text);
+      });
+      if (found) result[field] = coerce(type === 'list' ? found : found.join(' + '), type);
+    }
+  }
+
+  return result;
+}
+
+// Raw markdown of a section including its subsections, without the heading line
+function sectionContent(doc, section) {
+  const start = section.level === 0 ? 0 : section.line;
+  return doc.lines.slice(start, section.endLine).join('\n');
+}
+
+module.exports = {
+  DEFAULT_EXTRACTION_RULES,
+  parseMarkdown,
+  walkSections,
+  listItems,
+  keyValues,
+  keyValue,
+  plainText,
+  extractFields,
+  sectionContent
+};
@@ -12,6 +12,29 @@
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const TransactionalWriter = require('./transactional-writer');
+const ContextLock = require('./context-lock');
+const ContextCompressor = require('./context-compressor');
+const SessionHistory = require('./session-history');
+const ProjectProfiles = require('./project-profiles');
+const ContextBundle = require('./context-bundle');
+const ContextCipher = require('./context-crypto');
+const { splitAtAncestor, interleave, fieldConflicts } = require('./context-merge');
+const { homeDir, resolveContextRoot, extractContextDirFlag } = require('./context-root');
+const { scrubValue, scrubContent } = require('./secret-scrubber');
+const { FACT_SOURCES, buildFactStore, contentHash, regenerateDocument } = require('./facts-store');
+const { detectStorageMode, MonolithicStorage, ModularStorage, MODULAR_DIR } = require('./context-storage');
+const { validateSchema } = require('./schema-validator');
+const { DEFAULT_EXTRACTION_RULES, parseMarkdown, walkSections, extractFields, sectionContent } = require('./markdown-parser');
+const { DEFAULT_MAPPING, compileMapping, mapQuickReference } = require('./quick-reference');
+const { applyOperation, applyPatch, validateOperation, lookup, fieldToPointer, toPointer } = require('./json-patch');
+const CONTEXT_SCHEMA = require('./context-schema.json');
+
+// Context locks held by the current async call chain (a Set of ContextLock)
+const heldLocks = new AsyncLocalStorage();
 
 const SCHEMA_VERSION = 3;
 const DEFAULT_ESSENTIAL = {
@@ -21,19 +44,299 @@ const DEFAULT_ESSENTIAL = {
   sessionCount: 0
 };
 
+// Plain files that --compress keeps compressed copies of
+const COMPRESSIBLE_FILES = ['context-metadata.json', 'SESSION_CONTEXT_COMPLETE.md'];
+
+// --json / --format=<format> for every CLI command (see handleCommand)
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+// Session context outside the context root: the cli-automation-wrappers checkout
+const SESSION_CONTEXT_FALLBACK = path.join('cli-automation-wrappers', 'SESSION_CONTEXT_COMPLETE.md');
+
+// Process exit codes of the CLI
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1, // the command ran and failed, or found the context invalid
+  usage: 2, // unknown command or malformed arguments
+  unsupported: 3 // not available with the current storage mode
+};
+
+// Delta log entries that steer history instead of changing metadata
+const CONTROL_OPS = new Set(['undo', 'redo']);
+
+// Schema migrations: MIGRATIONS[n] upgrades a version n document to version n + 1.
+// Register a new step here whenever SCHEMA_VERSION is bumped.
+const MIGRATIONS = {
+  // v1 kept the essentials at the top level, with projects as a comma-separated string
+  1: (data) => {
+    const { lastSession, stack, projects, ...rest } = data;
+    const essential = { ...(data.essential || {}) };
+
+    if (lastSession !== undefined) essential.lastSession = lastSession;
+    if (stack !== undefined) essential.stack = stack;
+    if (projects !== undefined) {
+      essential.projects = typeof projects === 'string'
+        ? projects.split(',').map(p => p.trim()).filter(Boolean)
+        : projects;
+    }
+
+    return { ...rest, essential };
+  },
+
+  // v2 had no session counter
+  2: (data) => {
+    const essential = { ...(data.essential || {}) };
+    if (typeof essential.sessionCount !== 'number') {
+      essential.sessionCount = Array.isArray(data.sessionHistory) ? data.sessionHistory.length : 0;
+    }
+    return { ...data, essential };
+  }
+};
+
 class OpenCodeAutoLoader {
-  constructor() {
-    this.contextPath = path.join(process.env.HOME, '.config', 'opencode');
+  /**
+   * options: { contextDir, env, cwd } for locating the context root
+   * (see context-root.js); defaults to the process environment.
+   */
+  constructor(options = {}) {
+    this.contextRoot = null; // { path, source, candidates } - see --where
+    this.contextPath = null;
+    this.cwd = options.cwd || process.cwd(); // Picks the project profile and .opencode/
+    this.setContextRoot(options);
     this.sessionContext = null;
     this.userPreferences = null;
+    this.unmappedQuickReferenceSections = [];
+    this.activeProject = null; // Project profile for the working directory, deltas applied
     this.metadata = null;
     this._fullContext = null; // Lazy loaded
     this._contextLoaded = false;
+    this._writer = null;
+    this._lock = null;
+    this._lockQueue = Promise.resolve(); // Call chains waiting for this loader's lock, in order
+    this._storage = null;
+    this._metadataComplete = false; // false while only the modular fast-path modules are loaded
+    this.lockOptions = {}; // { timeoutMs, staleMs, retryMs }
+    this.strict = false; // Refuse to start on invalid context instead of auto-repairing
+    this.cipher = new ContextCipher(); // Keyless until loadEncryptionKey() finds an encrypted store
+    this.keyStore = null; // Keychain slots for the context key; SecurityManager unless injected
+  }
+
+  // Resolve the context root again, e.g. for --context-dir. Unresolvable
+  // (HOME unset, nothing configured) leaves contextPath null for later commands to report.
+  setContextRoot(options = {}) {
+    this.contextRootOptions = { ...this.contextRootOptions, ...options };
+    try {
+      this.contextRoot = resolveContextRoot(this.contextRootOptions);
+    } catch (error) {
+      if (error.code !== 'ENOCONTEXTROOT') throw error;
+      this.contextRoot = { path: null, source: null, candidates: [], error };
+    }
+    this.contextPath = this.contextRoot.path;
+    return this.contextRoot;
+  }
+
+  requireContextRoot() {
+    if (!this.contextPath) throw this.contextRoot.error;
+  }
+
+  // All context writes go through the transactional writer (temp + fsync + rename)
+  get writer() {
+    if (!this._writer || this._writer.rootDir !== this.contextPath) {
+      this._writer = new TransactionalWriter(this.contextPath, {
+        managedDirs: [MODULAR_DIR, SessionHistory.HISTORY_DIR, ProjectProfiles.PROFILES_DIR],
+        encode: (filePath, data) => this.encodeContextFile(filePath, data)
+      });
+    }
+    return this._writer;
+  }
+
+  // Advisory lock shared by every OpenCode session using this context directory
+  get lock() {
+    const lockPath = path.join(this.contextPath, 'context.lock');
+    if (!this._lock || this._lock.lockPath !== lockPath) {
+      this._lock = new ContextLock(lockPath, this.lockOptions);
+    }
+    return this._lock;
+  }
+
+  // Storage backend picked from what is on disk: modular if context/__init__.json says so
+  get storage() {
+    const mode = detectStorageMode(this.contextPath);
+    if (!this._storage || this._storage.name !== mode) {
+      this._storage = mode === 'modular' ? new ModularStorage(this) : new MonolithicStorage(this);
+    }
+    return this._storage;
+  }
+
+  // Full session log under history/; metadata only keeps the tail
+  get history() {
+    if (!this._history || this._history.loader !== this) {
+      this._history = new SessionHistory(this);
+    }
+    return this._history;
+  }
+
+  // Per-project profiles under projects/
+  get profiles() {
+    if (!this._profiles || this._profiles.loader !== this) {
+      this._profiles = new ProjectProfiles(this);
+    }
+    return this._profiles;
+  }
+
+  // --export / --import archives of the whole context
+  get bundles() {
+    if (!this._bundles || this._bundles.loader !== this) {
+      this._bundles = new ContextBundle(this);
+    }
+    return this._bundles;
+  }
+
+  // Global metadata with the active project's profile layered on top
+  get effectiveMetadata() {
+    return this.profiles.layer(this.metadata, this.activeProject);
+  }
+
+  get schemaVersion() {
+    return SCHEMA_VERSION;
+  }
+
+  /**
+   * Run fn while holding the context lock. Calls made from inside fn reuse the
+   * held lock; any other call on this loader (a separate promise chain) waits
+   * its turn instead of running unlocked.
+   */
+  async withContextLock(fn) {
+    const lock = this.lock;
+    const held = heldLocks.getStore() || new Set();
+    if (held.has(lock)) return fn();
+
+    const previous = this._lockQueue;
+    let done;
+    this._lockQueue = new Promise(resolve => { done = resolve; });
+    try {
+      await previous;
+      await lock.acquire();
+      try {
+        return await heldLocks.run(new Set([...held, lock]), fn);
+      } finally {
+        lock.release();
+      }
+    } finally {
+      done();
+    }
+  }
+
+  // Whether filePath is a context file the store keeps encrypted when encryption is on
+  encryptsPath(filePath) {
+    const relative = path.relative(this.contextPath, filePath);
+    return !relative.startsWith('..') && !path.isAbsolute(relative) && ContextCipher.isEncryptedPath(relative);
+  }
+
+  // Contents of a context file as written, decrypted if the store is encrypted
+  readContextFile(filePath, encoding = null) {
+    const data = this.cipher.decode(filePath, fs.readFileSync(filePath));
+    return encoding ? data.toString(encoding) : data;
+  }
+
+  // Append one line to a JSONL log, sealed on its own so the log stays append-only
+  appendContextLine(filePath, line) {
+    fs.appendFileSync(filePath, this.encodeContextFile(filePath, line) + '\n');
+  }
+
+  // The writer's encode hook; refuses to write plaintext into an encrypted store
+  encodeContextFile(filePath, data) {
+    if (!this.encryptsPath(filePath)) return data;
+    if (!this.cipher.loaded) {
+      const state = this.readEncryptionState();
+      if (state) throw this.keyMissingError(state);
+    }
+    return this.cipher.encode(filePath, data);
+  }
+
+  // context-encryption.json: { algorithm, keyId, encryptedAt, rekeyedAt? }, or null for a plain store
+  readEncryptionState() {
+    const statePath = path.join(this.contextPath, ContextCipher.STATE_FILE);
+    return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : null;
+  }
+
+  getKeyStore() {
+    if (!this.keyStore) this.keyStore = ContextCipher.securityManagerKeyStore();
+    return this.keyStore;
+  }
+
+  keyMissingError(state) {
+    return ContextCipher.keyError(
+      'EKEYMISSING',
+      `Context at ${this.contextPath} is encrypted (key ${state.keyId}) but the keychain has no context key. ` +
+      'Restore the key with SecurityManager.storeContextKey() on this machine, or --import an --export bundle made where the key is.'
+    );
   }
 
-  async initialize(showFullDetails = false) {
+  /**
+   * Load the key an encrypted store was sealed with from the keychain; call
+   * before anything reads the context. A plain store needs no key. The
+   * 'next' slot also counts, so a --rekey interrupted after rewriting the
+   * store is finished here.
+   */
+  async loadEncryptionKey() {
+    const state = this.readEncryptionState();
+    if (!state) {
+      this.cipher = new ContextCipher();
+      return null;
+    }
+    if (this.cipher.keyId === state.keyId) return state;
+
+    const keyStore = this.getKeyStore();
+    const current = await keyStore.get('current');
+    const next = await keyStore.get('next');
+    const key = [current, next].find(candidate => candidate && ContextCipher.keyIdOf(candidate) === state.keyId);
+    if (!key) {
+      if (!current && !next) throw this.keyMissingError(state);
+      throw ContextCipher.keyError(
+        'EKEYMISMATCH',
+        `Context at ${this.contextPath} is encrypted with key ${state.keyId}, but the keychain holds key ${ContextCipher.keyIdOf(current || next)}`
+      );
+    }
+
+    this.cipher = new ContextCipher(key, { previous: [current, next].filter(candidate => candidate && candidate !== key) });
+    if (key === next) {
+      await keyStore.set('current', key);
+      await keyStore.delete('next');
+      console.log(`🔧 Completed interrupted rekey (key ${state.keyId})`);
+    }
+    return state;
+  }
+
+  // Finish or roll back writes interrupted by a crash in a previous run
+  async recoverInterruptedWrites() {
+    if (!fs.existsSync(this.contextPath)) return null;
+
+    try {
+      // Under the lock so we never sweep another session's in-flight temp files
+      const result = await this.withContextLock(async () => this.writer.recover());
+      if (result.rolledForward) {
+        console.log(`🔧 Completed interrupted write (${result.rolledForward})`);
+      }
+      if (result.rolledBack > 0) {
+        console.log(`🔧 Discarded ${result.rolledBack} incomplete write(s)`);
+      }
+      return result;
+    } catch (error) {
+      console.log('⚠️  Could not recover interrupted writes:', error.message);
+      return null;
+    }
+  }
+
+  async initialize(showFullDetails = false, options = {}) {
+    const strict = options.strict ?? this.strict;
+    this.requireContextRoot();
+    await this.loadEncryptionKey();
+
     console.log('🚀 OpenCode - Initializing...\n');
 
+    await this.recoverInterruptedWrites();
+
     // Fast exit if no context files exist
     const hasContext = await this.checkForContextFiles();
     if (!hasContext) {
@@ -43,20 +346,36 @@ class OpenCodeAutoLoader {
       return this.sessionContext;
     }
 
-    // Load metadata and preferences in parallel (Phase 1 improvement)
-    const [metadata, preferences] = await Promise.all([
-      this.loadMetadata(),
+    // Load metadata (with pending deltas) and preferences in parallel (Phase 1 improvement)
+    let [loaded, preferences] = await Promise.all([
+      this.storage.load({ fast: !showFullDetails }),
       this.loadUserPreferences()
     ]);
 
-    // Apply any pending deltas to metadata
-    const metadataWithDeltas = await this.applyDeltasToMetadata(metadata);
+    // A partial modular load is checked for the modules it read; anything wrong gets the full treatment
+    if (!loaded.complete && this.getPartialSchemaErrors(loaded).length > 0) {
+      loaded = await this.storage.load();
+    }
 
-    this.metadata = this.validateMetadata(metadataWithDeltas);
+    if (loaded.complete) {
+      this.metadata = this.validateMetadata(loaded.metadata, { strict });
+    } else {
+      this.metadata = loaded.metadata;
+      console.log(`✅ Metadata validated successfully (${loaded.modules.join(', ')} module)`);
+    }
+    this._metadataComplete = loaded.complete;
     this.userPreferences = preferences;
 
+    // Inside a project directory its profile overrides the global essentials
+    const profile = this.profiles.findByPath(options.cwd || this.cwd);
+    this.activeProject = profile ? this.profiles.load(profile.name) : null;
+    if (this.activeProject) {
+      console.log(`📁 Project profile: ${this.activeProject.name} (${this.activeProject.path})`);
+    }
+
     // Lazy load full session context only when needed
     if (showFullDetails) {
+      await this.getMetadata();
       await this.loadSessionContext();
       this.displayContextSummary();
       this.suggestActions();
@@ -66,24 +385,48 @@ class OpenCodeAutoLoader {
     }
 
     console.log('\n✅ OpenCode ready!');
-    return this.metadata;
+    return this.effectiveMetadata;
   }
 
   displayQuickSummary() {
     if (this.metadata?.essential) {
+      const { lastSession, stack, projects } = this.effectiveMetadata.essential;
       console.log('📋 Quick Summary:');
-      console.log(`   Last Session: ${this.metadata.essential.lastSession}`);
-      console.log(`   Stack: ${this.metadata.essential.stack}`);
-      console.log(`   Projects: ${this.metadata.essential.projects.join(', ')}`);
+      console.log(`   Last Session: ${lastSession}`);
+      // Modular fast path only reads base.json; stack and projects load on demand
+      if (stack !== undefined) console.log(`   Stack: ${stack}`);
+      if (Array.isArray(projects)) console.log(`   Projects: ${projects.join(', ')}`);
+    }
+  }
+
+  // Full metadata, loading the modules the fast path skipped
+  async getMetadata() {
+    if (this.metadata && this._metadataComplete) {
+      return this.metadata;
     }
+
+    const { metadata } = await this.storage.load();
+    this.metadata = this.validateMetadata(metadata);
+    this._metadataComplete = true;
+    return this.metadata;
+  }
+
+  // Schema errors in the parts of a partial load that were actually read
+  getPartialSchemaErrors({ metadata, modules }) {
+    return this.getSchemaErrors(metadata).filter(error => {
+      const owner = this.storage.moduleForPointer(error.path === '/' ? '' : error.path);
+      return owner === null || modules.includes(owner);
+    });
   }
 
   async checkForContextFiles() {
     const files = [
       'SESSION_CONTEXT_COMPLETE.md',
       'context-metadata.json',
-      'SESSION_CONTEXT_COMPLETE.json.gz',
-      'QUICK_REFERENCE.md'
+      path.join(MODULAR_DIR, '__init__.json'),
+      'QUICK_REFERENCE.md',
+      ...['SESSION_CONTEXT_COMPLETE.md', 'context-metadata.json'].flatMap(file =>
+        ContextCompressor.ALGORITHMS.map(algorithm => ContextCompressor.compressedPathFor(file, algorithm)))
     ];
 
     const checks = files.map(f =>
@@ -97,27 +440,46 @@ class OpenCodeAutoLoader {
   }
 
   async loadMetadata() {
-    // Try compressed first (Phase 3 optimization)
+    try {
+      await this.reconcileMetadataCopies();
+    } catch (error) {
+      console.log('⚠️  Could not reconcile metadata copies:', error.message);
+    }
+
+    const metadata = this.readMetadataFile();
+
+    // Upgrade older schemas in memory; refuses files from a newer loader
+    return metadata ? this.migrateMetadata(metadata) : null;
+  }
+
+  readMetadataFile() {
     const compressedPath = path.join(this.contextPath, 'context-metadata.json.gz');
     const metadataPath = path.join(this.contextPath, 'context-metadata.json');
 
     try {
-      // Try compressed file first
-      if (fs.existsSync(compressedPath)) {
-        const compressed = fs.readFileSync(compressedPath);
-        const decompressed = zlib.gunzipSync(compressed);
-        const metadata = JSON.parse(decompressed.toString('utf8'));
-        console.log('📝 Loaded metadata (compressed)');
+      // Prefer a compressed copy whose checksum matches (Phase 3 optimization)
+      const verified = this.readVerifiedCompressed(metadataPath, 'metadata');
+      if (verified) {
+        const metadata = JSON.parse(verified.data.toString('utf8'));
+        console.log(`📝 Loaded metadata (compressed, ${verified.algorithm})`);
         return metadata;
       }
 
       // Fallback to plain JSON
       if (fs.existsSync(metadataPath)) {
-        const content = fs.readFileSync(metadataPath, 'utf8');
+        const content = this.readContextFile(metadataPath, 'utf8');
         const metadata = JSON.parse(content);
         console.log('📝 Loaded metadata (fast path)');
         return metadata;
       }
+
+      // A .gz written before checksums existed is better than nothing
+      if (fs.existsSync(compressedPath)) {
+        const decompressed = zlib.gunzipSync(this.readContextFile(compressedPath));
+        const metadata = JSON.parse(decompressed.toString('utf8'));
+        console.log('📝 Loaded metadata (compressed, unverified)');
+        return metadata;
+      }
     } catch (error) {
       // Continue to fallback
     }
@@ -125,24 +487,162 @@ class OpenCodeAutoLoader {
     return null;
   }
 
-  async saveMetadata(metadata) {
-    const compressedPath = path.join(this.contextPath, 'context-metadata.json.gz');
-    const metadataPath = path.join(this.contextPath, 'context-metadata.json');
+  // Verified compressed contents of filePath, or null to fall back to the plain file
+  readVerifiedCompressed(filePath, label) {
+    const verified = ContextCompressor.readVerified(filePath, file => this.readContextFile(file));
+    if (verified.corrupt.length > 0) {
+      console.log(`⚠️  Ignoring ${label} ${verified.corrupt.join('/')} copy: checksum mismatch`);
+    }
+    return verified.data ? verified : null;
+  }
+
+  /**
+   * Transaction ops that write compressed copies of a plain file's contents
+   * and drop copies for algorithms no longer in use. Returns { ops, entry }.
+   * storedBytes is the plain file's size on disk, which encryption makes larger.
+   */
+  compressedCopyOps(filePath, buffer, algorithms, storedBytes = this.storedLength(filePath, buffer.length)) {
+    const { entry, outputs } = ContextCompressor.buildEntry(buffer, algorithms);
+    if (storedBytes !== buffer.length) entry.storedBytes = storedBytes;
+    const ops = outputs.map(({ algorithm, data }) => ({
+      type: 'write',
+      file: ContextCompressor.compressedPathFor(filePath, algorithm),
+      data
+    }));
+
+    for (const algorithm of ContextCompressor.ALGORITHMS.filter(name => !algorithms.includes(name))) {
+      const stalePath = ContextCompressor.compressedPathFor(filePath, algorithm);
+      if (fs.existsSync(stalePath)) ops.push({ type: 'unlink', file: stalePath });
+    }
+
+    return { ops, entry };
+  }
 
+  // Size on disk of a context file with bytes of contents once the writer has encoded it
+  storedLength(filePath, bytes) {
+    return this.encryptsPath(filePath) ? this.cipher.sealedLength(bytes) : bytes;
+  }
+
+  // Algorithms a file was last compressed with (gzip if it never was)
+  compressionAlgorithmsFor(name) {
+    const entry = ContextCompressor.readManifest(this.contextPath).files[name];
+    const algorithms = Object.keys(entry?.compressed || {}).filter(a => ContextCompressor.ALGORITHMS.includes(a));
+    return algorithms.length > 0 ? algorithms : ['gzip'];
+  }
+
+  async saveMetadata(metadata) {
     try {
-      // Save compressed version
-      const compressed = zlib.gzipSync(Buffer.from(JSON.stringify(metadata, null, 2)));
-      fs.writeFileSync(compressedPath, compressed);
-      
-      // Also save plain JSON for backward compatibility
-      fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
-      
+      await this.writeMetadataCopies(metadata);
       console.log('💾 Metadata saved (compressed + plain)');
     } catch (error) {
       console.log('⚠️  Could not save metadata:', error.message);
     }
   }
 
+  // Write plain and compressed metadata in one transaction; every metadata write goes through here
+  async writeMetadataCopies(metadata, options = {}) {
+    await this.withContextLock(async () => this.writer.commit(this.metadataWriteOps(metadata, options)));
+  }
+
+  /**
+   * Transaction ops for the plain JSON, its compressed copies and the checksum
+   * manifest. The manifest goes last so it is never older than the plain file.
+   * Call with the context lock held.
+   */
+  metadataWriteOps(metadata, { reconciliation } = {}) {
+    metadata = this.scrubSecrets(metadata, 'metadata');
+    const metadataPath = path.join(this.contextPath, 'context-metadata.json');
+    const json = JSON.stringify(metadata, null, 2);
+
+    const { ops, entry } = this.compressedCopyOps(
+      metadataPath,
+      Buffer.from(json),
+      this.compressionAlgorithmsFor('context-metadata.json')
+    );
+    entry.lastUpdated = metadata.lastUpdated;
+
+    const manifest = ContextCompressor.updateManifest(this.contextPath, { 'context-metadata.json': entry });
+    if (reconciliation) manifest.lastReconciliation = reconciliation;
+
+    return [
+      ...ops,
+      { type: 'write', file: metadataPath, data: json },
+      { type: 'write', file: ContextCompressor.manifestPath(this.contextPath), data: JSON.stringify(manifest, null, 2) }
+    ];
+  }
+
+  /**
+   * Read every stored copy of the metadata (plain, gzip, brotli) and compare
+   * their content hashes. The newest valid copy by lastUpdated wins; on a tie
+   * the plain file wins, since that is where direct edits land.
+   */
+  inspectMetadataCopies() {
+    const metadataPath = path.join(this.contextPath, 'context-metadata.json');
+    const manifestEntry = ContextCompressor.readManifest(this.contextPath).files['context-metadata.json'];
+    const sources = [
+      { source: 'plain', file: metadataPath },
+      ...ContextCompressor.ALGORITHMS.map(algorithm => ({
+        source: algorithm,
+        file: ContextCompressor.compressedPathFor(metadataPath, algorithm)
+      }))
+    ];
+
+    const copies = sources.filter(copy => fs.existsSync(copy.file)).map(copy => {
+      try {
+        let buffer = this.readContextFile(copy.file);
+        if (copy.source !== 'plain') {
+          const expected = manifestEntry?.compressed?.[copy.source]?.sha256;
+          if (expected && ContextCompressor.checksum(buffer) !== expected) {
+            throw new Error('checksum mismatch');
+          }
+          buffer = ContextCompressor.decompressBuffer(buffer, copy.source);
+        }
+
+        const metadata = JSON.parse(buffer.toString('utf8'));
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+          throw new Error('not a JSON object');
+        }
+        return { ...copy, valid: true, hash: ContextCompressor.checksum(buffer), lastUpdated: metadata.lastUpdated, metadata };
+      } catch (error) {
+        return { ...copy, valid: false, error: error.message };
+      }
+    });
+
+    const valid = copies.filter(copy => copy.valid);
+    const time = copy => Date.parse(copy.lastUpdated) || 0;
+    const winner = valid.reduce((best, copy) => (!best || time(copy) > time(best) ? copy : best), null);
+    const inSync = copies.length === valid.length && valid.every(copy => copy.hash === valid[0].hash);
+
+    return { copies, winner, inSync };
+  }
+
+  // Rewrite diverged or corrupt metadata copies from the newest valid one
+  async reconcileMetadataCopies() {
+    return this.withContextLock(async () => {
+      const report = this.inspectMetadataCopies();
+      if (report.inSync || !report.winner) return report;
+
+      const { winner } = report;
+      const replaced = report.copies.filter(copy => !copy.valid || copy.hash !== winner.hash);
+      const reconciliation = {
+        at: new Date().toISOString(),
+        kept: winner.source,
+        keptLastUpdated: winner.lastUpdated || null,
+        replaced: replaced.map(copy => ({
+          source: copy.source,
+          lastUpdated: copy.valid ? copy.lastUpdated || null : null,
+          reason: copy.valid ? 'content hash mismatch' : copy.error
+        }))
+      };
+
+      this.writer.commit(this.metadataWriteOps(winner.metadata, { reconciliation }));
+
+      const describe = copy => `${copy.source}${copy.valid ? ` (${copy.lastUpdated || 'no lastUpdated'})` : ` (${copy.error})`}`;
+      console.log(`🔀 Metadata copies diverged: kept ${describe(winner)}, rewrote ${replaced.map(describe).join(', ')}`);
+      return { ...report, reconciliation };
+    });
+  }
+
   async getFullContext() {
     if (this._contextLoaded && this._fullContext) {
       return this._fullContext;
@@ -152,104 +652,164 @@ class OpenCodeAutoLoader {
     return this._fullContext;
   }
 
-  compressContext() {
+  async compressContext({ brotli = false } = {}) {
     console.log('📦 Compressing context files...\n');
-    
-    const metadataPath = path.join(this.contextPath, 'context-metadata.json');
-    const sessionPath = path.join(this.contextPath, 'SESSION_CONTEXT_COMPLETE.md');
 
-    // Compress metadata
-    if (fs.existsSync(metadataPath)) {
-      try {
-        const content = fs.readFileSync(metadataPath, 'utf8');
-        const compressed = zlib.gzipSync(Buffer.from(content));
-        const compressedPath = path.join(this.contextPath, 'context-metadata.json.gz');
-        fs.writeFileSync(compressedPath, compressed);
-        
-        const info = this.getSizeInfo(metadataPath, compressed);
-        console.log(`✅ Metadata compressed: ${info.compressionRatio}% smaller`);
-      } catch (error) {
-        console.log('⚠️  Could not compress metadata:', error.message);
-      }
+    const algorithms = brotli ? ['gzip', 'brotli'] : ['gzip'];
+    const compressed = [];
+
+    try {
+      await this.withContextLock(async () => {
+        const ops = [];
+        const entries = {};
+
+        for (const file of COMPRESSIBLE_FILES) {
+          const filePath = path.join(this.contextPath, file);
+          if (!fs.existsSync(filePath)) continue;
+
+          const copy = this.compressedCopyOps(filePath, this.readContextFile(filePath), algorithms, fs.statSync(filePath).size);
+          ops.push(...copy.ops);
+          entries[file] = copy.entry;
+          compressed.push(file);
+        }
+
+        if (compressed.length === 0) return;
+
+        const manifest = ContextCompressor.updateManifest(this.contextPath, entries);
+        ops.push({
+          type: 'write',
+          file: ContextCompressor.manifestPath(this.contextPath),
+          data: JSON.stringify(manifest, null, 2)
+        });
+        this.writer.commit(ops);
+      });
+    } catch (error) {
+      console.log('⚠️  Could not compress context:', error.message);
+      return null;
     }
 
-    // Compress session context
-    if (fs.existsSync(sessionPath)) {
-      try {
-        const content = fs.readFileSync(sessionPath, 'utf8');
-        const compressed = zlib.gzipSync(Buffer.from(content));
-        const compressedPath = path.join(this.contextPath, 'SESSION_CONTEXT_COMPLETE.md.gz');
-        fs.writeFileSync(compressedPath, compressed);
-        
-        const info = this.getSizeInfo(sessionPath, compressed);
-        console.log(`✅ Session context compressed: ${info.compressionRatio}% smaller`);
-      } catch (error) {
-        console.log('⚠️  Could not compress session context:', error.message);
+    if (compressed.length === 0) {
+      console.log('ℹ️  No context files to compress');
+      return [];
+    }
+
+    const report = [];
+    for (const file of compressed) {
+      const filePath = path.join(this.contextPath, file);
+      for (const algorithm of algorithms) {
+        const info = ContextCompressor.getSizeInfo(filePath, ContextCompressor.compressedPathFor(filePath, algorithm));
+        report.push({ file, algorithm, ...info });
+        const change = info.compressionRatio < 0 ? `${-info.compressionRatio}% larger` : `${info.compressionRatio}% smaller`;
+        console.log(`✅ ${file} (${algorithm}): ${info.originalBytes} → ${info.compressedBytes} bytes, ${change}`);
       }
     }
-  }
+    console.log(`\n🔒 Checksums recorded in ${ContextCompressor.MANIFEST_FILE}`);
 
-  getSizeInfo(originalPath, compressedBuffer) {
-    if (!fs.existsSync(originalPath)) return null;
-    
-    const originalBuffer = fs.readFileSync(originalPath);
-    const originalBytes = originalBuffer.length;
-    const compressedBytes = compressedBuffer.length;
-    
-    return {
-      originalBytes,
-      compressedBytes,
-      compressionRatio: ((1 - compressedBytes / originalBytes) * 100).toFixed(1)
-    };
+    return report;
   }
 
-  validateMetadata(data) {
+  validateMetadata(data, { strict = this.strict } = {}) {
     if (!data) {
       console.log('⚠️  No metadata found, creating new');
       return this.createDefaultMetadata();
     }
 
-    const errors = [];
+    const migrated = this.migrateMetadata(data);
+    const errors = this.getSchemaErrors(migrated);
 
-    if (typeof data !== 'object') {
-      errors.push('Metadata is not an object');
-    }
+    if (errors.length > 0) {
+      console.log('⚠️  Metadata validation failed:');
+      errors.forEach(e => console.log(`   - ${e.path}: ${e.message}`));
+
+      if (strict) {
+        const error = new Error(
+          `Context metadata has ${errors.length} schema violation(s); refusing to start in strict mode. ` +
+          'Run --validate for details or --repair to fix it'
+        );
+        error.code = 'ESCHEMAINVALID';
+        error.violations = errors;
+        throw error;
+      }
 
-    if (!data.version || typeof data.version !== 'number') {
-      errors.push('Missing or invalid version');
+      console.log('🔧 Auto-repairing metadata...');
+      return this.repairMetadata(migrated);
     }
 
-    if (!data.lastUpdated || typeof data.lastUpdated !== 'string') {
-      errors.push('Missing or invalid lastUpdated');
+    console.log('✅ Metadata validated successfully');
+    return migrated;
+  }
+
+  // Validate against context-schema.json; returns [{ path, message }] with JSON Pointer paths
+  getSchemaErrors(data) {
+    return validateSchema(CONTEXT_SCHEMA, data);
+  }
+
+  // History log files (and the legacy session-history.json) hold bare entries, validated with the same definition
+  getHistorySchemaErrors(history) {
+    const historySchema = { type: 'array', items: { $ref: '#/definitions/sessionHistoryEntry' } };
+    return validateSchema(historySchema, history, '', [], CONTEXT_SCHEMA);
+  }
+
+  // Run registered migrations in order until data is at SCHEMA_VERSION
+  migrateMetadata(data) {
+    if (!data || typeof data !== 'object') return data;
+
+    const fromVersion = data.version;
+    // Without a usable version we can't pick migrations; validation repairs it instead
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) return data;
+
+    if (fromVersion > SCHEMA_VERSION) {
+      const error = new Error(
+        `Context metadata uses schema v${fromVersion} but this loader only supports up to v${SCHEMA_VERSION}. ` +
+        'Refusing to load it to avoid data loss - update opencode-loader.js'
+      );
+      error.code = 'ESCHEMANEWER';
+      throw error;
     }
 
-    if (!data.essential || typeof data.essential !== 'object') {
-      errors.push('Missing or invalid essential section');
-    } else {
-      const e = data.essential;
-      if (!e.lastSession || typeof e.lastSession !== 'string') {
-        errors.push('Missing or invalid essential.lastSession');
-      }
-      if (!e.stack || typeof e.stack !== 'string') {
-        errors.push('Missing or invalid essential.stack');
-      }
-      if (!Array.isArray(e.projects)) {
-        errors.push('Missing or invalid essential.projects');
+    let migrated = data;
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+      const step = MIGRATIONS[version];
+      if (!step) {
+        throw new Error(`No migration registered from schema v${version} to v${version + 1}`);
       }
+      migrated = step(JSON.parse(JSON.stringify(migrated)));
+      migrated.version = version + 1;
     }
 
-    if (errors.length > 0) {
-      console.log('⚠️  Metadata validation failed:');
-      errors.forEach(e => console.log(`   - ${e}`));
-      console.log('🔧 Auto-repairing metadata...');
-      return this.repairMetadata(data);
+    if (fromVersion < SCHEMA_VERSION) {
+      console.log(`🔄 Migrated metadata schema v${fromVersion} → v${SCHEMA_VERSION}`);
     }
 
-    console.log('✅ Metadata validated successfully');
-    return data;
+    return migrated;
+  }
+
+  // Structural diff between two JSON values: [{ op: '+' | '-' | '~', path, from, to }]
+  diffObjects(before, after, pointer = '') {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    if (isObject(before) && isObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      const changes = [];
+      for (const key of keys) {
+        const childPointer = `${pointer}${toPointer([key])}`;
+        if (!(key in after)) {
+          changes.push({ op: '-', path: childPointer, from: before[key] });
+        } else if (!(key in before)) {
+          changes.push({ op: '+', path: childPointer, to: after[key] });
+        } else {
+          changes.push(...this.diffObjects(before[key], after[key], childPointer));
+        }
+      }
+      return changes;
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    return [{ op: '~', path: pointer || '/', from: before, to: after }];
   }
 
   repairMetadata(corruptedData) {
+    // Repaired output is always built in the current schema shape
     const repaired = {
       version: SCHEMA_VERSION,
       lastUpdated: new Date().toISOString(),
@@ -258,7 +818,6 @@ class OpenCodeAutoLoader {
 
     // Preserve valid fields from corrupted data
     if (corruptedData && typeof corruptedData === 'object') {
-      if (corruptedData.version) repaired.version = corruptedData.version;
       if (corruptedData.lastUpdated) repaired.lastUpdated = corruptedData.lastUpdated;
       
       if (corruptedData.essential && typeof corruptedData.essential === 'object') {
@@ -278,7 +837,10 @@ class OpenCodeAutoLoader {
 
       // Preserve session history if valid
       if (Array.isArray(corruptedData.sessionHistory)) {
-        repaired.sessionHistory = corruptedData.sessionHistory.slice(-10);
+        repaired.sessionHistory = corruptedData.sessionHistory.slice(-SessionHistory.HISTORY_TAIL);
+      }
+      if (corruptedData.historyLog && typeof corruptedData.historyLog === 'object') {
+        repaired.historyLog = corruptedData.historyLog;
       }
     }
 
@@ -295,104 +857,348 @@ class OpenCodeAutoLoader {
   }
 
   // Delta file system for incremental updates
+  // field is a dotted path ("essential.projects") or a JSON Pointer ("/essential/projects/0")
   async saveDelta(operation, field, value) {
-    const deltaPath = path.join(this.contextPath, 'context-deltas.jsonl');
     const delta = {
+      id: this.createDeltaId(),
       timestamp: new Date().toISOString(),
-      op: operation, // 'set', 'add', 'remove'
-      field: field,
+      op: operation, // any op from json-patch.js, e.g. 'set', 'add', 'remove', 'increment'
+      ...(typeof field === 'string' && field.startsWith('/') ? { path: field } : { field }),
       value: value
     };
 
     try {
-      fs.appendFileSync(deltaPath, JSON.stringify(delta) + '\n');
+      // Reject malformed deltas before they reach the log
+      const pointer = delta.path ?? fieldToPointer(delta.field);
+      validateOperation({ ...delta, path: pointer });
+      delta.value = this.scrubSecrets(delta.value, `delta ${field}`, pointer);
+
+      await this.storage.appendDelta(delta);
       console.log(`💾 Delta saved: ${operation} ${field}`);
-      
-      // Check if we should compact
-      await this.checkAndCompactDeltas();
+      return delta;
     } catch (error) {
       console.log('⚠️  Could not save delta:', error.message);
+      return null;
     }
   }
 
-  async applyDeltasToMetadata(baseMetadata) {
-    const deltaPath = path.join(this.contextPath, 'context-deltas.jsonl');
-    
-    if (!fs.existsSync(deltaPath)) {
-      return baseMetadata;
+  // Record an RFC 6902 patch document; it is applied atomically on replay
+  async savePatch(operations) {
+    try {
+      if (!Array.isArray(operations) || operations.length === 0) {
+        throw new Error('A patch must be a non-empty array of operations');
+      }
+      operations.forEach(validateOperation);
+
+      const delta = {
+        id: this.createDeltaId(),
+        timestamp: new Date().toISOString(),
+        op: 'patch',
+        patch: operations.map(op => ('value' in op ? { ...op, value: this.scrubSecrets(op.value, `patch ${op.path}`, op.path) } : op))
+      };
+      await this.storage.appendDelta(delta);
+      console.log(`💾 Patch saved: ${operations.length} operation(s)`);
+      return delta;
+    } catch (error) {
+      console.log('⚠️  Could not save patch:', error.message);
+      return null;
     }
+  }
+
+  // Same as saveDelta, but recorded in one project profile's own delta log
+  async saveProjectDelta(name, operation, field, value) {
+    const delta = {
+      id: this.createDeltaId(),
+      timestamp: new Date().toISOString(),
+      op: operation,
+      ...(typeof field === 'string' && field.startsWith('/') ? { path: field } : { field }),
+      value: value
+    };
 
     try {
-      const content = fs.readFileSync(deltaPath, 'utf8').trim();
-      if (!content) return baseMetadata;
-      
-      const lines = content.split('\n');
-      let result = baseMetadata ? JSON.parse(JSON.stringify(baseMetadata)) : null;
-      
-      if (!result) {
-        result = this.createDefaultMetadata();
+      if (!this.profiles.find(name)) {
+        throw new Error(`No project profile named "${name}"`);
       }
-
-      for (const line of lines) {
-        const delta = JSON.parse(line);
-        result = this.applySingleDelta(result, delta);
+      const pointer = delta.path ?? fieldToPointer(delta.field);
+      validateOperation({ ...delta, path: pointer });
+      // The name is also the profile's file name
+      if (pointer === '' || pointer === '/name' || pointer.startsWith('/name/')) {
+        throw new Error('A profile\'s name cannot be changed with a delta');
       }
+      delta.value = this.scrubSecrets(delta.value, `${name} delta ${field}`, pointer);
 
-      console.log(`📊 Applied ${lines.length} deltas`);
-      return result;
+      await this.profiles.appendDelta(name, delta);
+      console.log(`💾 Delta saved for ${name}: ${operation} ${field}`);
+      return delta;
     } catch (error) {
-      console.log('⚠️  Error applying deltas:', error.message);
-      return baseMetadata;
+      console.log('⚠️  Could not save project delta:', error.message);
+      return null;
     }
   }
 
-  applySingleDelta(base, delta) {
-    if (!base || typeof base !== 'object') {
-      base = this.createDefaultMetadata();
+  async updateProjectMetadata(name, field, value) {
+    const delta = await this.saveProjectDelta(name, 'set', field, value);
+
+    if (delta && this.activeProject?.name === name) {
+      this.activeProject = this.applyDeltaOrSkip(this.activeProject, delta);
     }
+    return delta;
+  }
 
-    const path = delta.field.split('.');
-    let target = base;
+  async appendDelta(delta) {
+    const deltaPath = path.join(this.contextPath, 'context-deltas.jsonl');
 
-    // Navigate to parent
-    for (let i = 1; i < path.length - 1; i++) {
-      const key = path[i];
-      if (!target[key] || typeof target[key] !== 'object') {
-        target[key] = {};
-      }
-      target = target[key];
-    }
+    await this.withContextLock(async () => {
+      this.appendContextLine(deltaPath, JSON.stringify(delta));
 
-    const lastKey = path[path.length - 1];
+      // Check if we should compact (still under the lock, so no other session can slip in)
+      await this.checkAndCompactDeltas();
+    });
+  }
 
-    switch (delta.op) {
-      case 'set':
-        target[lastKey] = delta.value;
-        break;
-      case 'add':
-        if (Array.isArray(target[lastKey])) {
-          target[lastKey].push(delta.value);
-        } else if (typeof target[lastKey] === 'number') {
-          target[lastKey] += delta.value;
-        } else {
-          target[lastKey] = delta.value;
-        }
-        break;
-      case 'remove':
-        delete target[lastKey];
-        break;
+  /**
+   * Value with secrets (tokens, keys, passwords) replaced by [REDACTED]; every
+   * delta, history entry and metadata write passes through here. See
+   * secret-scrubber.js for the patterns. pointer is where the value will be stored.
+   */
+  scrubSecrets(value, label, pointer = '') {
+    const { value: scrubbed, findings } = scrubValue(value, pointer);
+    if (findings.length > 0) {
+      console.log(`🔒 Redacted ${findings.length} secret(s) from ${label} (${[...new Set(findings.map(f => f.kind))].join(', ')})`);
     }
+    return scrubbed;
+  }
 
-    return base;
+  createDeltaId() {
+    return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
   }
 
-  async checkAndCompactDeltas() {
-    const deltaPath = path.join(this.contextPath, 'context-deltas.jsonl');
-    
+  // Parse JSONL delta lines; deltas written before ids existed get a stable content-derived id
+  parseDeltaLines(content) {
+    if (!content) return [];
+
+    return content.split('\n').filter(line => line.trim()).map(line => {
+      const delta = JSON.parse(line);
+      if (!delta.id) {
+        delta.id = `legacy-${crypto.createHash('sha1').update(line).digest('hex').slice(0, 12)}`;
+      }
+      return delta;
+    });
+  }
+
+  readDeltaLog() {
+    const deltaPath = path.join(this.contextPath, 'context-deltas.jsonl');
+    if (!fs.existsSync(deltaPath)) return [];
+    return this.parseDeltaLines(this.readContextFile(deltaPath, 'utf8').trim());
+  }
+
+  // Write op appending a segment to the delta archive; call with the context lock held
+  archiveSegmentOp(segment) {
+    const archivePath = path.join(this.contextPath, 'context-deltas.archive.jsonl');
+    const archive = fs.existsSync(archivePath) ? this.readContextFile(archivePath, 'utf8') : '';
+    return { type: 'write', file: archivePath, data: archive + JSON.stringify(segment) + '\n' };
+  }
+
+  // Compacted deltas are kept as segments: { id, compactedAt, base, deltas, result[, reason] }
+  readDeltaArchive() {
+    const archivePath = path.join(this.contextPath, 'context-deltas.archive.jsonl');
+    if (!fs.existsSync(archivePath)) return [];
+
+    return this.readContextFile(archivePath, 'utf8').split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        const segment = JSON.parse(line);
+        segment.deltas = this.parseDeltaLines(
+          (segment.deltas || []).map(delta => JSON.stringify(delta)).join('\n')
+        );
+        return segment;
+      });
+  }
+
+  // Walk the log in order and work out which deltas are currently undone and what can be redone
+  getUndoState(entries, cutoff = Infinity) {
+    const undone = new Set();
+    let redoStack = [];
+
+    for (const entry of entries) {
+      if (Date.parse(entry.timestamp) > cutoff) continue;
+
+      if (entry.op === 'undo') {
+        entry.targets.forEach(id => undone.add(id));
+        redoStack.push(entry.targets);
+      } else if (entry.op === 'redo') {
+        entry.targets.forEach(id => undone.delete(id));
+        redoStack.pop();
+      } else {
+        // A new change invalidates anything that could have been redone
+        redoStack = [];
+      }
+    }
+
+    const effective = entries.filter(entry =>
+      !CONTROL_OPS.has(entry.op) && !undone.has(entry.id) && Date.parse(entry.timestamp) <= cutoff
+    );
+
+    return { undone, redoStack, effective };
+  }
+
+  // Compaction stamps the result and counts the compaction as a session
+  finishCompaction(metadata, compactedAt) {
+    metadata.lastUpdated = compactedAt;
+    if (metadata.essential) {
+      metadata.essential.sessionCount = (metadata.essential.sessionCount || 0) + 1;
+    }
+    return metadata;
+  }
+
+  /**
+   * Replay the full delta timeline (archived segments + pending log).
+   * base is the current on-disk metadata; at limits the replay to a point in time.
+   * Changes written outside the delta log (repair, migrations) are carried over as
+   * the difference between one segment's result and the next segment's base.
+   */
+  rebuildMetadata(base, { at = null } = {}) {
+    const segments = this.readDeltaArchive();
+    const pending = this.readDeltaLog();
+    const cutoff = at ? Date.parse(at) : Infinity;
+    const { undone } = this.getUndoState([...segments.flatMap(s => s.deltas), ...pending], cutoff);
+
+    const applyEffective = (state, deltas) => deltas
+      .filter(d => !CONTROL_OPS.has(d.op) && !undone.has(d.id) && Date.parse(d.timestamp) <= cutoff)
+      .reduce((acc, delta) => this.applyDeltaOrSkip(acc, delta), state);
+
+    const start = segments.length > 0 ? segments[0].base : base;
+    let state = start ? JSON.parse(JSON.stringify(start)) : this.createDefaultMetadata();
+    let previous = null;
+
+    for (const segment of segments) {
+      if (previous && Date.parse(previous.compactedAt) <= cutoff) {
+        state = this.applyExternalEdits(state, previous.result, segment.base);
+      }
+      state = applyEffective(state, segment.deltas);
+      // Deltas folded by --modularize were not a compaction and count no session
+      if (Date.parse(segment.compactedAt) <= cutoff && segment.reason !== 'modularize') {
+        state = this.finishCompaction(state, segment.compactedAt);
+      }
+      previous = segment;
+    }
+
+    if (previous && base && Date.parse(previous.compactedAt) <= cutoff) {
+      state = this.applyExternalEdits(state, previous.result, base);
+    }
+
+    return applyEffective(state, pending);
+  }
+
+  applyExternalEdits(state, from, to) {
+    return this.diffObjects(from, to).reduce((acc, change) => {
+      if (change.op === '-') {
+        return lookup(acc, change.path) === undefined ? acc : applyOperation(acc, { op: 'remove', path: change.path });
+      }
+      return applyOperation(acc, { op: 'set', path: change.path === '/' ? '' : change.path, value: change.to });
+    }, state);
+  }
+
+  async applyDeltasToMetadata(baseMetadata) {
+    const deltaPath = path.join(this.contextPath, 'context-deltas.jsonl');
+    
+    if (!fs.existsSync(deltaPath)) {
+      return baseMetadata;
+    }
+
+    try {
+      const content = await this.withContextLock(async () =>
+        fs.existsSync(deltaPath) ? this.readContextFile(deltaPath, 'utf8').trim() : ''
+      );
+      if (!content) return baseMetadata;
+      
+      const deltas = this.parseDeltaLines(content);
+
+      // Undo/redo can reach into archived segments, so replay the whole timeline
+      if (deltas.some(delta => CONTROL_OPS.has(delta.op))) {
+        const result = await this.withContextLock(async () => this.rebuildMetadata(baseMetadata));
+        console.log(`📊 Replayed delta history (${deltas.length} pending)`);
+        return result;
+      }
+
+      let result = baseMetadata ? JSON.parse(JSON.stringify(baseMetadata)) : null;
+      
+      if (!result) {
+        result = this.createDefaultMetadata();
+      }
+
+      for (const delta of deltas) {
+        result = this.applyDeltaOrSkip(result, delta);
+      }
+
+      console.log(`📊 Applied ${deltas.length} deltas`);
+      return result;
+    } catch (error) {
+      console.log('⚠️  Error applying deltas:', error.message);
+      return baseMetadata;
+    }
+  }
+
+  applySingleDelta(base, delta) {
+    if (!base || typeof base !== 'object') {
+      base = this.createDefaultMetadata();
+    }
+
+    if (delta.op === 'patch') {
+      return applyPatch(base, delta.patch);
+    }
+
+    const operation = this.toPatchOperation(base, delta);
+    return operation ? applyOperation(base, operation) : base;
+  }
+
+  /**
+   * Translate a stored delta into a json-patch operation.
+   * Deltas with a `path` are RFC 6902 operations and pass through unchanged.
+   * Deltas with a dotted `field` keep their original meaning: add appends to an
+   * array or adds to a number, and remove deletes the key (or, given a value,
+   * removes that value from an array) and is a no-op when the key is missing.
+   */
+  toPatchOperation(doc, delta) {
+    if (delta.path !== undefined) return delta;
+
+    const path = fieldToPointer(delta.field);
+    const current = lookup(doc, path);
+
+    switch (delta.op) {
+      case 'add':
+        if (Array.isArray(current)) return { op: 'add', path: `${path}/-`, value: delta.value };
+        if (typeof current === 'number') return { op: 'increment', path, value: delta.value };
+        if (current === undefined) return { op: 'set', path, value: delta.value };
+        throw new Error(`Cannot add to ${typeof current} at ${path}`);
+      case 'remove':
+        if (current === undefined) return null;
+        if (delta.value !== undefined && Array.isArray(current)) {
+          return { op: 'pull', path, value: delta.value };
+        }
+        return { op: 'remove', path };
+      default:
+        return { op: delta.op, path, value: delta.value };
+    }
+  }
+
+  // A delta that fails (bad path, failed test, unknown op) is skipped, not fatal to the replay
+  applyDeltaOrSkip(state, delta) {
+    try {
+      return this.applySingleDelta(state, delta);
+    } catch (error) {
+      console.log(`⚠️  Skipped delta ${delta.id || delta.timestamp}: ${error.message}`);
+      return state;
+    }
+  }
+
+  async checkAndCompactDeltas() {
+    const deltaPath = path.join(this.contextPath, 'context-deltas.jsonl');
+    
     if (!fs.existsSync(deltaPath)) return;
 
     try {
-      const content = fs.readFileSync(deltaPath, 'utf8').trim();
+      const content = this.readContextFile(deltaPath, 'utf8').trim();
       if (!content) return;
       
       const lineCount = content.split('\n').length;
@@ -412,59 +1218,75 @@ class OpenCodeAutoLoader {
     const metadataPath = path.join(this.contextPath, 'context-metadata.json');
     
     try {
-      // Load current metadata
-      let metadata = this.createDefaultMetadata();
-      if (fs.existsSync(metadataPath)) {
-        const content = fs.readFileSync(metadataPath, 'utf8');
-        metadata = JSON.parse(content);
-      }
+      // Hold the lock from read to unlink so no delta appended meanwhile is dropped
+      const result = await this.withContextLock(async () => {
+        // Make sure the plain file is the newest copy before building on it
+        await this.reconcileMetadataCopies();
+
+        // Load current metadata
+        let base = this.createDefaultMetadata();
+        if (fs.existsSync(metadataPath)) {
+          const content = this.readContextFile(metadataPath, 'utf8');
+          base = this.migrateMetadata(JSON.parse(content));
+        }
 
-      // Apply all deltas
-      metadata = await this.applyDeltasToMetadata(metadata);
-      
-      // Update timestamp and session count
-      metadata.lastUpdated = new Date().toISOString();
-      if (metadata.essential) {
-        metadata.essential.sessionCount = (metadata.essential.sessionCount || 0) + 1;
-      }
+        // Apply all deltas
+        const deltas = this.readDeltaLog();
+        const baseSnapshot = JSON.parse(JSON.stringify(base));
+        let metadata = await this.applyDeltasToMetadata(base);
+
+        // Update timestamp and session count
+        const compactedAt = new Date().toISOString();
+        metadata = this.finishCompaction(metadata, compactedAt);
+
+        // Keep the compacted deltas as an archived segment for undo and time travel
+        const segment = { id: this.createDeltaId(), compactedAt, base: baseSnapshot, deltas, result: metadata };
+
+        // Save compacted metadata, archive the deltas and remove the delta file in one transaction
+        this.writer.commit([
+          ...this.metadataWriteOps(metadata),
+          this.archiveSegmentOp(segment),
+          { type: 'unlink', file: deltaPath }
+        ]);
+        return { compacted: deltas.length, lastUpdated: metadata.lastUpdated };
+      });
 
-      // Save compacted metadata
-      fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
-      
-      // Remove delta file
-      fs.unlinkSync(deltaPath);
-      
       console.log('✅ Deltas compacted to base context');
+      return result;
     } catch (error) {
       console.log('⚠️  Error compacting deltas:', error.message);
+      return null;
     }
   }
 
   async updateMetadata(field, value) {
     // Save as delta
-    await this.saveDelta('set', field, value);
+    const delta = await this.saveDelta('set', field, value);
     
-    // Update in-memory metadata
-    if (this.metadata && field.startsWith('essential.')) {
-      const keys = field.split('.');
-      let target = this.metadata.essential;
-      for (let i = 1; i < keys.length - 1; i++) {
-        target = target[keys[i]];
-      }
-      target[keys[keys.length - 1]] = value;
+    // Update in-memory metadata with the same path logic used for replay (and the redacted value)
+    if (this.metadata) {
+      this.metadata = this.applyDeltaOrSkip(this.metadata, { op: 'set', field, value: delta ? delta.value : value });
     }
   }
 
-  async loadSessionContext() {
-    const contextPaths = [
+  // Where the session markdown may live, in lookup order
+  sessionContextCandidates() {
+    const home = homeDir(this.contextRootOptions.env);
+    return [
       path.join(this.contextPath, 'SESSION_CONTEXT_COMPLETE.md'),
-      path.join(process.env.HOME, 'cli-automation-wrappers', 'SESSION_CONTEXT_COMPLETE.md')
+      ...(home ? [path.join(home, SESSION_CONTEXT_FALLBACK)] : [])
     ];
+  }
+
+  async loadSessionContext() {
+    const contextPaths = this.sessionContextCandidates();
 
     for (const contextFile of contextPaths) {
       try {
-        if (fs.existsSync(contextFile)) {
-          const content = fs.readFileSync(contextFile, 'utf8');
+        // Prefer a verified compressed copy over the plain markdown
+        const verified = this.readVerifiedCompressed(contextFile, 'session context');
+        if (verified || fs.existsSync(contextFile)) {
+          const content = verified ? verified.data.toString('utf8') : this.readContextFile(contextFile, 'utf8');
           this.sessionContext = this.parseMarkdownContext(content);
           
           // Extract metadata from markdown if needed
@@ -473,7 +1295,7 @@ class OpenCodeAutoLoader {
             this.metadata = this.validateMetadata(this.metadata);
           }
           
-          console.log('📝 Loaded full session context');
+          console.log(`📝 Loaded full session context${verified ? ` (compressed, ${verified.algorithm})` : ''}`);
           return;
         }
       } catch (error) {
@@ -490,114 +1312,107 @@ class OpenCodeAutoLoader {
 
   extractMetadataFromMarkdown(content) {
     const metadata = this.createDefaultMetadata();
-    
-    const stackMatch = content.match(/\*\*User Stack\*\*:\s*([^\n]+)/);
-    if (stackMatch) {
-      metadata.essential.stack = stackMatch[1].trim();
-    }
+    const fields = extractFields(parseMarkdown(content), this.getExtractionRules());
 
-    const projectsMatch = content.match(/\*\*User Projects\*\*:\s*([^\n]+)/);
-    if (projectsMatch) {
-      const projects = projectsMatch[1].split(',').map(p => p.trim());
-      metadata.essential.projects = projects;
+    if (fields.stack) {
+      metadata.essential.stack = fields.stack;
     }
-
-    const dateMatch = content.match(/\*\*Session Date\*\*:\s*([^\n]+)/);
-    if (dateMatch) {
-      metadata.essential.lastSession = dateMatch[1].trim();
+    if (fields.projects?.length) {
+      metadata.essential.projects = fields.projects;
+    }
+    if (fields.lastSession) {
+      metadata.essential.lastSession = fields.lastSession;
     }
 
     return metadata;
   }
 
+  // automation-config.json in the context directory (shared with the automation wrappers)
+  readAutomationConfig() {
+    const configPath = path.join(this.contextPath, 'automation-config.json');
+    try {
+      return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    } catch (error) {
+      console.log(`⚠️  Ignoring automation-config.json: ${error.message}`);
+      return {};
+    }
+  }
+
+  // Default extraction rules with per-field overrides from contextExtraction.rules
+  getExtractionRules() {
+    const overrides = this.readAutomationConfig().contextExtraction?.rules || {};
+    const rules = { ...DEFAULT_EXTRACTION_RULES };
+
+    for (const [field, rule] of Object.entries(overrides)) {
+      rules[field] = rule === null ? undefined : { ...(DEFAULT_EXTRACTION_RULES[field] || {}), ...rule };
+    }
+    return Object.fromEntries(Object.entries(rules).filter(([, rule]) => rule));
+  }
+
   async loadUserPreferences() {
     const quickRefFile = path.join(this.contextPath, 'QUICK_REFERENCE.md');
 
     try {
       if (fs.existsSync(quickRefFile)) {
-        const content = fs.readFileSync(quickRefFile, 'utf8');
+        const content = this.readContextFile(quickRefFile, 'utf8');
         const preferences = this.parseQuickReference(content);
         console.log('⚙️  Loaded user preferences');
+        if (this.unmappedQuickReferenceSections.length > 0) {
+          console.log(`⚠️  QUICK_REFERENCE.md sections not mapped: ${this.unmappedQuickReferenceSections.join(', ')}`);
+          console.log('   Map them under quickReference.sections in automation-config.json');
+        }
         return preferences;
       }
     } catch (error) {
-      console.log('⚠️  Error loading preferences');
+      console.log(`⚠️  Error loading preferences: ${error.message}`);
     }
 
     return null;
   }
 
   parseMarkdownContext(content) {
-    // Extract key information from markdown
-    const sections = content.split('## ');
+    // Every heading becomes a section; keyInfo covers the section and its subsections
+    const doc = parseMarkdown(content);
+    const rules = this.getExtractionRules();
     const context = {};
 
-    sections.forEach(section => {
-      const lines = section.split('\n');
-      const title = lines[0]?.trim();
-      
-      if (title) {
-        context[title] = {
-          title,
-          content: lines.slice(1).join('\n'),
-          keyInfo: this.extractKeyInfo(lines)
-        };
-      }
+    walkSections(doc.root, section => {
+      // Front matter and text before the first heading only count when present
+      const hasPreamble = doc.frontMatter || section.blocks.length > 0;
+      const title = section.level === 0 ? (hasPreamble ? 'Preamble' : null) : section.plainTitle;
+      if (!title || context[title]) return;
+
+      context[title] = {
+        title,
+        level: section.level,
+        line: section.line,
+        content: sectionContent(doc, section),
+        keyInfo: extractFields(doc, rules, section.level === 0 ? doc.root : section)
+      };
     });
 
     return context;
   }
 
   extractKeyInfo(lines) {
-    const info = {};
-    
-    lines.forEach(line => {
-      if (line.includes('User Stack:')) {
-        const stackMatch = line.match(/\*\*User Stack\*\*:\s*(.+)/);
-        if (stackMatch) info.stack = stackMatch[1];
-      }
-      if (line.includes('Projects:')) {
-        const projectsMatch = line.match(/\*\*Projects\*\*:\s*(.+)/);
-        if (projectsMatch) info.projects = projectsMatch[1];
-      }
-      if (line.includes('Session Date:')) {
-        const dateMatch = line.match(/\*\*Session Date\*\*:\s*(.+)/);
-        if (dateMatch) info.lastSession = dateMatch[1];
-      }
-    });
-
-    return info;
+    return extractFields(parseMarkdown(lines.join('\n')), this.getExtractionRules());
   }
 
   parseQuickReference(content) {
-    // Extract user's tech stack and preferences
-    const preferences = {
-      stack: {},
-      commands: {},
-      status: {}
-    };
-
-    const lines = content.split('\n');
-    let currentSection = null;
-
-    lines.forEach(line => {
-      if (line.includes('🎯 **User Tech Stack**')) {
-        currentSection = 'stack';
-      } else if (line.includes('🚀 **Essential Automation Commands**')) {
-        currentSection = 'commands';
-      } else if (line.includes('📊 **Current Project Status**')) {
-        currentSection = 'status';
-      } else if (currentSection && line.includes('- **')) {
-        const match = line.match(/- \*\*(.+)\*\*:\s*(.+)/);
-        if (match) {
-          preferences[currentSection][match[1]] = match[2];
-        }
-      }
-    });
-
+    // Extract user's tech stack, commands and status; unmapped sections are kept for the warning
+    const { preferences, unmapped } = mapQuickReference(parseMarkdown(content), this.getQuickReferenceMapping());
+    this.unmappedQuickReferenceSections = unmapped;
     return preferences;
   }
 
+  // quickReference.sections from automation-config.json, checked before the defaults;
+  // a broken entry is skipped with a warning instead of losing every preference
+  getQuickReferenceMapping() {
+    const configured = this.readAutomationConfig().quickReference?.sections ?? [];
+    const warn = message => console.log(`⚠️  ${message}`);
+    return [...compileMapping(configured, warn), ...DEFAULT_MAPPING];
+  }
+
   createNewUserSession() {
     return {
       'NEW SESSION': {
@@ -622,7 +1437,8 @@ class OpenCodeAutoLoader {
         console.log('🗺️  Previous Session:');
         console.log(`   Date: ${firstSection.keyInfo.lastSession || 'Unknown'}`);
         console.log(`   Stack: ${firstSection.keyInfo.stack || 'Unknown'}`);
-        console.log(`   Projects: ${firstSection.keyInfo.projects || 'Unknown'}`);
+        const projects = [].concat(firstSection.keyInfo.projects || []).join(', ');
+        console.log(`   Projects: ${projects || 'Unknown'}`);
       }
     }
 
@@ -630,7 +1446,7 @@ class OpenCodeAutoLoader {
     if (this.userPreferences?.status) {
       console.log('\n📊 Current Status:');
       Object.entries(this.userPreferences.status).forEach(([key, value]) => {
-        console.log(`   ${key}: ${value}`);
+        console.log(value ? `   ${key}: ${value}` : `   ${key}`);
       });
     }
   }
@@ -666,13 +1482,17 @@ class OpenCodeAutoLoader {
     // Update metadata using delta system
     await this.updateMetadata('essential.lastSession', new Date().toISOString().split('T')[0]);
     await this.updateMetadata('essential.sessionCount', (this.metadata?.essential?.sessionCount || 0) + 1);
+    if (this.activeProject) {
+      await this.updateProjectMetadata(this.activeProject.name, 'essential.lastSession', timestamp.split('T')[0]);
+    }
 
     // Add to session history
     const historyEntry = {
       timestamp,
       sessionType,
       summary,
-      previousContext: this.sessionContext ? 'loaded' : 'none'
+      previousContext: this.sessionContext ? 'loaded' : 'none',
+      ...(this.activeProject ? { project: this.activeProject.name } : {})
     };
 
     await this.addToHistory(historyEntry);
@@ -681,80 +1501,410 @@ class OpenCodeAutoLoader {
   }
 
   async addToHistory(entry) {
-    const historyPath = path.join(this.contextPath, 'session-history.json');
-    
-    let history = [];
+    entry = this.scrubSecrets(entry, 'session history');
     try {
-      if (fs.existsSync(historyPath)) {
-        history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+      // Appending and the pointer update must not interleave with another session
+      await this.withContextLock(async () => {
+        const written = this.history.append(entry);
+
+        // Only the new entry goes into the delta log, not the whole history
+        const delta = await this.savePatch([
+          { op: 'append', path: '/sessionHistory', value: entry, limit: SessionHistory.HISTORY_TAIL },
+          { op: 'set', path: '/historyLog/dir', value: SessionHistory.HISTORY_DIR },
+          { op: 'increment', path: '/historyLog/entries', value: written },
+          { op: 'set', path: '/historyLog/lastEntry', value: entry.timestamp }
+        ]);
+
+        if (delta && this.metadata) {
+          this.metadata = this.applyDeltaOrSkip(this.metadata, delta);
+        }
+      });
+    } catch (error) {
+      console.log('⚠️  Could not save session history');
+    }
+  }
+
+  /**
+   * Rebuild the metadata's history tail and log pointer from the log on disk,
+   * e.g. after merging logs. Records nothing when they already match, so two
+   * machines merging each other settle instead of trading patches.
+   */
+  async syncHistoryPointer() {
+    const entries = this.history.read();
+    if (entries.length === 0) return null;
+
+    const tail = entries.slice(-SessionHistory.HISTORY_TAIL);
+    const pointer = { dir: SessionHistory.HISTORY_DIR, entries: entries.length, lastEntry: entries[entries.length - 1].timestamp };
+    const current = this.storage.name === 'modular' ? null : this.readEffectiveMetadata();
+    if (current && JSON.stringify(current.sessionHistory) === JSON.stringify(tail) && JSON.stringify(current.historyLog) === JSON.stringify(pointer)) {
+      return null;
+    }
+
+    return this.savePatch([
+      { op: 'set', path: '/sessionHistory', value: tail },
+      { op: 'set', path: '/historyLog', value: pointer }
+    ]);
+  }
+
+  // --history: recent entries, or search <text> / since <date> / stats over the whole log
+  showHistory(subcommand, argument) {
+    const formatEntry = entry => {
+      const when = String(entry.timestamp || '?').replace('T', ' ').slice(0, 16);
+      return `   ${when}  ${entry.sessionType || 'unknown'}${entry.summary ? `  ${entry.summary}` : ''}`;
+    };
+
+    if (subcommand === 'stats') {
+      const { total, byType, perWeek } = this.history.stats();
+      console.log(`📊 Session history: ${total} session(s)\n`);
+      if (total === 0) return { total, byType, perWeek };
+
+      console.log('By type:');
+      Object.entries(byType).sort(([, a], [, b]) => b - a).forEach(([type, count]) => {
+        console.log(`   ${type}: ${count}`);
+      });
+      console.log('\nPer week:');
+      perWeek.forEach(({ week, sessions }) => console.log(`   ${week}: ${sessions}`));
+      return { total, byType, perWeek };
+    }
+
+    let entries;
+    if (subcommand === 'search') {
+      if (!argument) {
+        console.log('❌ Usage: --history search <text>');
+        return null;
+      }
+      entries = this.history.search(argument);
+      console.log(`🔎 ${entries.length} session(s) matching "${argument}"`);
+    } else if (subcommand === 'since') {
+      if (!argument || Number.isNaN(Date.parse(argument))) {
+        console.log('❌ Usage: --history since <date>, e.g. --history since 2026-01-01');
+        return null;
+      }
+      entries = this.history.read({ since: argument });
+      console.log(`📅 ${entries.length} session(s) since ${argument}`);
+    } else if (subcommand === undefined) {
+      entries = this.history.read().slice(-10);
+      console.log(`📜 Last ${entries.length} session(s) (see --history stats for totals)`);
+    } else {
+      console.log(`❌ Unknown --history command "${subcommand}" (use search, since or stats)`);
+      return null;
+    }
+
+    entries.forEach(entry => console.log(formatEntry(entry)));
+    return entries;
+  }
+
+  /**
+   * --project                        list profiles
+   * --project <name>                 show a profile layered over the global context
+   * --project <name> init [path]     create a profile for path (default: working directory)
+   * --project <name> set <field> <value> / unset <field> / compact
+   */
+  async handleProjectCommand([name, action, ...rest]) {
+    if (!name) {
+      const profiles = this.profiles.list();
+      const current = this.profiles.findByPath(this.cwd);
+      if (profiles.length === 0) {
+        console.log('ℹ️  No project profiles yet - create one with --project <name> init [path]');
+      }
+      profiles.forEach(profile => {
+        const pending = this.profiles.readDeltaLog(profile.name).length;
+        console.log(`${profile.name === current?.name ? '👉' : '  '} ${profile.name}  ${profile.path}${pending ? `  (${pending} pending delta(s))` : ''}`);
+      });
+      return profiles;
+    }
+
+    try {
+      switch (action) {
+        case undefined: {
+          const profile = this.profiles.load(name);
+          if (!profile) throw new Error(`No project profile named "${name}"`);
+
+          const { metadata } = await this.storage.load();
+          const layered = this.profiles.layer(metadata, profile);
+          console.log(`📁 ${profile.name} (${profile.path})\n`);
+          console.log('Overrides:');
+          console.log(JSON.stringify(profile.essential || {}, null, 2));
+          console.log('\nEffective essentials:');
+          console.log(JSON.stringify(layered.essential, null, 2));
+          return layered;
+        }
+        case 'init': {
+          const profile = await this.profiles.create(name, path.resolve(this.cwd, rest[0] || '.'));
+          console.log(`✅ Created project profile ${profile.name} for ${profile.path}`);
+          return profile;
+        }
+        case 'set': {
+          if (!rest[0] || rest.length < 2) throw new Error('Usage: --project <name> set <field> <value>');
+          return await this.saveProjectDelta(name, 'set', this.profileField(rest[0]), this.parseCliValue(rest.slice(1).join(' ')));
+        }
+        case 'unset': {
+          if (!rest[0]) throw new Error('Usage: --project <name> unset <field>');
+          return await this.saveProjectDelta(name, 'remove', this.profileField(rest[0]));
+        }
+        case 'compact':
+          if (!this.profiles.find(name)) throw new Error(`No project profile named "${name}"`);
+          if (!(await this.profiles.compact(name))) console.log(`ℹ️  No pending deltas for ${name}`);
+          return true;
+        default:
+          throw new Error(`Unknown --project action "${action}" (use init, set, unset or compact)`);
       }
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      return null;
+    }
+  }
+
+  // "stack" is short for essential.stack; pointers and dotted paths are taken as-is
+  profileField(field) {
+    return field.startsWith('/') || field.includes('.') ? field : `essential.${field}`;
+  }
+
+  // JSON values (numbers, arrays, ...) where they parse, plain strings otherwise
+  parseCliValue(text) {
+    try {
+      return JSON.parse(text);
     } catch {
-      history = [];
+      return text;
     }
+  }
 
-    history.push(entry);
-    
-    // Keep only last 10 sessions
-    if (history.length > 10) {
-      history = history.slice(-10);
+  /**
+   * CLI commands. run gets the arguments after the command and returns the
+   * command's result (null on failure); ok decides success when that is not
+   * enough, usage returns a message for malformed arguments, monolithic
+   * commands refuse to run against modular storage, and anyRoot commands run
+   * even when no context root could be resolved.
+   */
+  commandTable() {
+    const validDate = value => value && !Number.isNaN(Date.parse(value));
+
+    return {
+      '--migrate': { run: () => this.migrateFromMarkdown() },
+      '--migrate-schema': { monolithic: true, run: args => this.migrateSchema(args.includes('--dry-run')) },
+      '--deltas': { monolithic: true, run: () => this.listDeltas() },
+      '--undo': {
+        monolithic: true,
+        usage: ([count]) => count !== undefined && !(parseInt(count, 10) > 0) && '--undo [n] where n is a positive number',
+        run: ([count]) => this.undoDeltas(count ? parseInt(count, 10) : 1)
+      },
+      '--redo': { monolithic: true, run: () => this.redoDeltas() },
+      '--at': {
+        monolithic: true,
+        usage: ([timestamp]) => !validDate(timestamp) && '--at <ISO timestamp>, e.g. --at 2026-01-18T12:00:00Z',
+        run: ([timestamp]) => this.showMetadataAt(timestamp)
+      },
+      '--compact': { run: () => this.storage.compact() },
+      '--validate': { monolithic: true, run: () => this.validateContext(), ok: result => result?.valid === true },
+      '--repair': { monolithic: true, run: () => this.repairContext() },
+      '--status': { run: () => this.showStatus() },
+      '--where': { anyRoot: true, run: () => this.showContextLocations(), ok: result => Boolean(result.root.path) },
+      '--compress': { run: args => this.compressContext({ brotli: args.includes('--brotli') }) },
+      '--decompress': { run: () => this.decompressContext() },
+      '--dedupe': { run: () => this.deduplicateContext() },
+      '--facts': { run: ([query]) => this.listFacts(query) },
+      '--set-fact': {
+        usage: ([id, ...value]) => (!id || value.length === 0) && '--set-fact <fact id> <new value>',
+        run: ([id, ...value]) => this.setFact(id, value.join(' '))
+      },
+      '--regenerate': { run: () => this.regenerateFromFacts() },
+      '--project': { run: args => this.handleProjectCommand(args) },
+      '--history': {
+        usage: ([subcommand, ...rest]) => {
+          if (subcommand === 'search' && rest.length === 0) return '--history search <text>';
+          if (subcommand === 'since' && !validDate(rest[0])) return '--history since <date>, e.g. --history since 2026-01-01';
+          return ![undefined, 'search', 'since', 'stats'].includes(subcommand) && '--history [search <text> | since <date> | stats]';
+        },
+        run: ([subcommand, ...rest]) => this.showHistory(subcommand, rest.join(' '))
+      },
+      '--merge': {
+        monolithic: true,
+        usage: ([dir]) => !dir && '--merge <other context directory>',
+        run: ([dir]) => this.mergeContext(dir)
+      },
+      '--export': {
+        usage: ([file]) => !file && '--export <file.tar.gz>',
+        run: ([file]) => this.exportContext(file)
+      },
+      '--import': {
+        usage: ([file, ...flags]) => (!file || flags.length > 1 || flags.some(flag => !['--merge', '--replace'].includes(flag))) &&
+          '--import <file.tar.gz> [--merge | --replace]',
+        run: ([file, flag]) => this.importContext(file, flag ? flag.slice(2) : null)
+      },
+      '--encrypt': { run: () => this.encryptContext() },
+      '--decrypt': { run: () => this.decryptContext() },
+      '--rekey': { run: () => this.rekeyContext() },
+      '--scan': {
+        usage: flags => flags.some(flag => flag !== '--dry-run') && '--scan [--dry-run]',
+        run: args => this.scanContext({ dryRun: args.includes('--dry-run') })
+      },
+      '--modularize': { run: () => this.modularizeContext() },
+      '--demodularize': { run: () => this.demodularizeContext() }
+    };
+  }
+
+  // "text" unless --json or --format=<json|ndjson|text> asks otherwise; null for an unknown format
+  outputFormat(args) {
+    const flag = args.find(arg => arg.startsWith('--format='));
+    const format = flag ? flag.slice('--format='.length) : args.includes('--json') ? 'json' : 'text';
+    return OUTPUT_FORMATS.includes(format) ? format : null;
+  }
+
+  /**
+   * Run fn and describe the outcome as { command, ok, exitCode, result, error? }.
+   * fn returns { result, ok, exitCode? }. In json mode the console output is
+   * collected into messages and the envelope printed as one JSON document; in
+   * ndjson mode every console line becomes a {"type":"log"} record followed by
+   * a final {"type":"result"} record. Text mode prints as usual.
+   */
+  async runWithOutput(command, format, fn) {
+    const log = console.log;
+    const messages = [];
+    if (format !== 'text') {
+      console.log = (...parts) => {
+        const message = util.format(...parts);
+        if (format === 'ndjson') {
+          process.stdout.write(JSON.stringify({ type: 'log', message }) + '\n');
+        } else {
+          messages.push(message);
+        }
+      };
     }
 
+    let outcome;
     try {
-      fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
-      await this.saveDelta('set', 'sessionHistory', history);
+      outcome = await fn();
     } catch (error) {
-      console.log('⚠️  Could not save session history');
+      console.log(`❌ ${error.message}`);
+      outcome = { result: null, ok: false, error: { message: error.message, code: error.code || null } };
+    } finally {
+      console.log = log;
+    }
+
+    const envelope = {
+      command,
+      ok: outcome.ok,
+      exitCode: outcome.exitCode ?? (outcome.ok ? EXIT_CODES.ok : EXIT_CODES.failed),
+      result: outcome.result ?? null,
+      ...(outcome.error ? { error: outcome.error } : {})
+    };
+
+    if (format === 'json') {
+      process.stdout.write(JSON.stringify({ ...envelope, messages }, null, 2) + '\n');
+    } else if (format === 'ndjson') {
+      process.stdout.write(JSON.stringify({ type: 'result', ...envelope }) + '\n');
     }
+    return envelope;
   }
 
-  // CLI command handlers
+  // CLI command handlers; resolves to the envelope described in runWithOutput
   async handleCommand(args) {
-    const command = args[0];
+    const format = this.outputFormat(args);
+    const { contextDir, args: commandArgs, missing } = extractContextDirFlag(args);
+    const [command, ...rest] = commandArgs.filter(arg => !['--json', '--strict'].includes(arg) && !arg.startsWith('--format='));
+    const name = command ? command.replace(/^--/, '') : 'help';
+    this.strict = this.strict || args.includes('--strict');
+
+    if (!format) {
+      console.log(`❌ Unknown output format (use ${OUTPUT_FORMATS.join(', ')})`);
+      return { command: name, ok: false, exitCode: EXIT_CODES.usage, result: null };
+    }
 
-    switch (command) {
-      case '--migrate':
-        await this.migrateFromMarkdown();
-        break;
-      case '--compact':
-        await this.compactDeltas();
-        break;
-      case '--validate':
-        await this.validateContext();
-        break;
-      case '--repair':
-        await this.repairContext();
-        break;
-      case '--status':
-        await this.showStatus();
-        break;
-      case '--compress':
-        this.compressContext();
-        break;
-      case '--decompress':
-        await this.decompressContext();
-        break;
-      case '--dedupe':
-        await this.deduplicateContext();
-        break;
-      case '--modularize':
-        await this.modularizeContext();
-        break;
-      default:
-        console.log('OpenCode Auto-Loader v2.0');
-        console.log('');
-        console.log('Usage: node opencode-loader.js [command]');
-        console.log('');
-        console.log('Commands:');
-        console.log('  --migrate     Extract metadata from markdown context');
-        console.log('  --compact     Compact deltas into base context');
-        console.log('  --validate    Validate context schema');
-        console.log('  --repair      Repair corrupted context');
-        console.log('  --status      Show current context status');
-        console.log('  --compress    Compress context files (Phase 3)');
-        console.log('  --decompress  Decompress context files');
-        console.log('  --dedupe      Extract unique facts to facts.json (Phase 4)');
-        console.log('  --modularize  Split context into modular files');
+    if (contextDir) {
+      this.setContextRoot({ contextDir });
     }
+
+    return this.runWithOutput(name, format, async () => {
+      if (missing) {
+        console.log('❌ Usage: --context-dir <directory>');
+        return { result: null, ok: false, exitCode: EXIT_CODES.usage, error: { message: 'Usage: --context-dir <directory>', code: 'EUSAGE' } };
+      }
+
+      const entry = this.commandTable()[command];
+      if (!entry) {
+        const result = this.showHelp();
+        if (!command) return { result, ok: true };
+        console.log(`\n❌ Unknown command: ${command}`);
+        return { result, ok: false, exitCode: EXIT_CODES.usage, error: { message: `Unknown command: ${command}`, code: 'EUSAGE' } };
+      }
+
+      const usage = entry.usage && entry.usage(rest);
+      if (usage) {
+        console.log(`❌ Usage: ${usage}`);
+        return { result: null, ok: false, exitCode: EXIT_CODES.usage, error: { message: `Usage: ${usage}`, code: 'EUSAGE' } };
+      }
+
+      if (!entry.anyRoot) {
+        this.requireContextRoot();
+        await this.recoverInterruptedWrites();
+        await this.loadEncryptionKey();
+      }
+
+      if (entry.monolithic && !this.requireMonolithic(command)) {
+        return {
+          result: null,
+          ok: false,
+          exitCode: EXIT_CODES.unsupported,
+          error: { message: `${command} needs monolithic storage`, code: 'EMODULAR' }
+        };
+      }
+
+      const result = await entry.run(rest);
+      return { result, ok: entry.ok ? entry.ok(result) : result !== null && result !== undefined };
+    });
+  }
+
+  showHelp() {
+    console.log('OpenCode Auto-Loader v2.0');
+    console.log('');
+    console.log('Usage: node opencode-loader.js [command]');
+    console.log('');
+    console.log('Commands:');
+    console.log('  --migrate     Extract metadata from markdown context');
+    console.log('  --migrate-schema [--dry-run]  Upgrade metadata to the current schema version');
+    console.log('  --compact     Compact deltas into base context');
+    console.log('  --deltas      List archived and pending deltas');
+    console.log('  --undo [n]    Revert the last n delta operations (default 1)');
+    console.log('  --redo        Re-apply the most recently undone operations');
+    console.log('  --at <time>   Show metadata as it was at an ISO timestamp');
+    console.log('  --validate    Validate context against context-schema.json');
+    console.log('  --repair      Repair corrupted context');
+    console.log('  --status      Show current context status');
+    console.log('  --where       Show which context root and files were resolved, and from where');
+    console.log('  --compress [--brotli]  Write checksummed gzip (and brotli) copies of context files');
+    console.log('  --decompress  Restore plain context files from verified compressed copies');
+    console.log('  --dedupe      Extract unique facts to facts.json (Phase 4)');
+    console.log('  --facts [text]  List facts and where they appear');
+    console.log('  --set-fact <id> <value>  Edit a fact everywhere it appears');
+    console.log('  --regenerate  Rewrite the markdown files from facts.json');
+    console.log('  --history [search <text> | since <date> | stats]  Browse the full session log');
+    console.log('  --project [name] [init [path] | set <field> <value> | unset <field> | compact]');
+    console.log('                Inspect or edit per-project profiles (layered over the global context)');
+    console.log('  --merge <dir>  Three-way merge another copy of the context (e.g. the other machine\'s)');
+    console.log('  --export <file>  Pack the context (no credentials) into a checksummed tar.gz bundle');
+    console.log('  --import <file> [--merge | --replace]');
+    console.log('                Restore a bundle; --merge replays its deltas on top of the local ones');
+    console.log('  --encrypt     Encrypt the context at rest with a key held in the system keychain');
+    console.log('  --decrypt     Turn encryption off and rewrite the context as plaintext');
+    console.log('  --rekey       Re-encrypt the context with a freshly generated key');
+    console.log('  --scan [--dry-run]  Find tokens, keys and passwords in context files and redact them');
+    console.log('  --modularize  Switch to modular storage (one file per module under context/)');
+    console.log('  --demodularize  Switch back to a single context-metadata.json');
+    console.log('');
+    console.log('Options:');
+    console.log('  --strict      Fail on invalid context instead of auto-repairing');
+    console.log('  --context-dir <dir>  Use <dir> as the context root (overrides .opencode/ in the project,');
+    console.log('                OPENCODE_CONFIG_DIR, $XDG_CONFIG_HOME/opencode and ~/.config/opencode)');
+    console.log('  --json        Print { command, ok, exitCode, result } as JSON instead of text');
+    console.log('  --format=ndjson  Stream log lines and the result as newline-delimited JSON');
+    return { commands: Object.keys(this.commandTable()), formats: OUTPUT_FORMATS, exitCodes: EXIT_CODES };
+  }
+
+  // Delta history, schema migration, validation and repair work on the monolithic files
+  requireMonolithic(command) {
+    if (this.storage.name === 'monolithic') return true;
+    console.log(`ℹ️  ${command} needs monolithic storage - run --demodularize first`);
+    return false;
   }
 
   async migrateFromMarkdown() {
@@ -763,38 +1913,221 @@ class OpenCodeAutoLoader {
     await this.loadSessionContext();
     
     if (this.metadata) {
-      const metadataPath = path.join(this.contextPath, 'context-metadata.json');
-      fs.writeFileSync(metadataPath, JSON.stringify(this.metadata, null, 2));
-      console.log('✅ Metadata saved to context-metadata.json');
+      await this.storage.save(this.metadata);
+      console.log(`✅ Metadata saved (${this.storage.name} storage)`);
       console.log(`   Last session: ${this.metadata.essential.lastSession}`);
       console.log(`   Stack: ${this.metadata.essential.stack}`);
       console.log(`   Projects: ${this.metadata.essential.projects.join(', ')}`);
     }
+    return this.metadata;
+  }
+
+  async listDeltas() {
+    const segments = this.readDeltaArchive();
+    const pending = this.readDeltaLog();
+    const archived = segments.flatMap(segment => segment.deltas);
+    const { undone } = this.getUndoState([...archived, ...pending]);
+
+    console.log(`📜 Delta log (${archived.length} archived, ${pending.length} pending)\n`);
+
+    const describe = delta => {
+      if (CONTROL_OPS.has(delta.op)) {
+        return `${delta.op} ${delta.targets.length} delta(s)`;
+      }
+      const marker = undone.has(delta.id) ? '  ↩️  undone' : '';
+      if (delta.op === 'patch') {
+        return `patch ${delta.patch.map(op => `${op.op} ${op.path}`).join(', ')}${marker}`;
+      }
+      const value = delta.value === undefined ? '' : ` = ${JSON.stringify(delta.value)}`;
+      const shown = value.length > 60 ? `${value.slice(0, 57)}...` : value;
+      return `${delta.op} ${delta.field ?? delta.path}${shown}${marker}`;
+    };
+
+    segments.forEach(segment => {
+      console.log(`📦 Archived segment (compacted ${segment.compactedAt})`);
+      segment.deltas.forEach(delta => console.log(`   ${delta.timestamp}  [${delta.id}] ${describe(delta)}`));
+    });
+
+    if (pending.length > 0) {
+      console.log('📝 Pending');
+      pending.forEach(delta => console.log(`   ${delta.timestamp}  [${delta.id}] ${describe(delta)}`));
+    }
+
+    return { archived, pending };
+  }
+
+  async undoDeltas(count = 1) {
+    if (!Number.isInteger(count) || count < 1) {
+      console.log('❌ Usage: --undo [n] where n is a positive number');
+      return [];
+    }
+
+    return this.withContextLock(async () => {
+      const entries = [...this.readDeltaArchive().flatMap(s => s.deltas), ...this.readDeltaLog()];
+      const targets = this.getUndoState(entries).effective.slice(-count);
+
+      if (targets.length === 0) {
+        console.log('ℹ️  Nothing to undo');
+        return [];
+      }
+
+      await this.appendDelta({
+        id: this.createDeltaId(),
+        timestamp: new Date().toISOString(),
+        op: 'undo',
+        targets: targets.map(delta => delta.id)
+      });
+
+      console.log(`↩️  Undid ${targets.length} delta(s):`);
+      targets.forEach(delta => console.log(`   ${delta.timestamp}  ${delta.op} ${delta.field ?? delta.path ?? ''}`));
+      return targets;
+    });
+  }
+
+  async redoDeltas() {
+    return this.withContextLock(async () => {
+      const entries = [...this.readDeltaArchive().flatMap(s => s.deltas), ...this.readDeltaLog()];
+      const { redoStack } = this.getUndoState(entries);
+      const group = redoStack[redoStack.length - 1];
+
+      if (!group) {
+        console.log('ℹ️  Nothing to redo');
+        return [];
+      }
+
+      await this.appendDelta({
+        id: this.createDeltaId(),
+        timestamp: new Date().toISOString(),
+        op: 'redo',
+        targets: group
+      });
+
+      console.log(`↪️  Redid ${group.length} delta(s)`);
+      return group;
+    });
+  }
+
+  async showMetadataAt(timestamp) {
+    if (!timestamp || Number.isNaN(Date.parse(timestamp))) {
+      console.log('❌ Usage: --at <ISO timestamp>, e.g. --at 2026-01-18T12:00:00Z');
+      return null;
+    }
+
+    const metadataPath = path.join(this.contextPath, 'context-metadata.json');
+    const base = fs.existsSync(metadataPath)
+      ? this.migrateMetadata(JSON.parse(this.readContextFile(metadataPath, 'utf8')))
+      : null;
+
+    const metadata = await this.withContextLock(async () => this.rebuildMetadata(base, { at: timestamp }));
+
+    console.log(`🕰️  Metadata as of ${new Date(timestamp).toISOString()}:\n`);
+    console.log(JSON.stringify(metadata, null, 2));
+    return metadata;
+  }
+
+  async migrateSchema(dryRun = false) {
+    console.log(`🔄 Migrating context schema${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const metadata = this.readMetadataFile();
+    if (!metadata) {
+      console.log('⚠️  No metadata file found');
+      return null;
+    }
+
+    const fromVersion = metadata.version;
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      console.log('❌ Metadata has no usable schema version - run --repair instead');
+      return null;
+    }
+
+    const result = { fromVersion, toVersion: SCHEMA_VERSION, dryRun, migrated: false, changes: [], errors: [] };
+    if (fromVersion === SCHEMA_VERSION) {
+      console.log(`✅ Metadata is already at schema v${SCHEMA_VERSION}`);
+      return result;
+    }
+
+    try {
+      const migrated = this.migrateMetadata(metadata);
+      const changes = this.diffObjects(metadata, migrated);
+
+      console.log(`\n📝 Changes (v${fromVersion} → v${SCHEMA_VERSION}):`);
+      changes.forEach(change => {
+        if (change.op === '+') {
+          console.log(`   + ${change.path}: ${JSON.stringify(change.to)}`);
+        } else if (change.op === '-') {
+          console.log(`   - ${change.path}: ${JSON.stringify(change.from)}`);
+        } else {
+          console.log(`   ~ ${change.path}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+        }
+      });
+
+      const errors = this.getSchemaErrors(migrated);
+      if (errors.length > 0) {
+        console.log('\n⚠️  Migrated metadata still fails validation (run --repair afterwards):');
+        errors.forEach(e => console.log(`   - ${e.path}: ${e.message}`));
+      }
+
+      Object.assign(result, { changes, errors });
+      if (dryRun) {
+        console.log('\nℹ️  Dry run - no files were changed');
+        return result;
+      }
+
+      await this.saveMetadata(migrated);
+      console.log(`✅ Metadata migrated to schema v${SCHEMA_VERSION}`);
+      return { ...result, migrated: true };
+    } catch (error) {
+      console.log('❌ Schema migration failed:', error.message);
+      return null;
+    }
   }
 
   async validateContext() {
     console.log('🔍 Validating context...\n');
     
     const metadataPath = path.join(this.contextPath, 'context-metadata.json');
+    const historyPath = this.history.legacyPath;
     
     if (!fs.existsSync(metadataPath)) {
       console.log('⚠️  No metadata file found');
-      return;
+      return { valid: false, errors: [] };
     }
 
     try {
-      const content = fs.readFileSync(metadataPath, 'utf8');
-      const metadata = JSON.parse(content);
-      const validated = this.validateMetadata(metadata);
-      
-      if (validated) {
+      const content = this.readContextFile(metadataPath, 'utf8');
+      const metadata = this.migrateMetadata(JSON.parse(content));
+
+      // Report every violation instead of silently repairing
+      const errors = this.getSchemaErrors(metadata)
+        .map(e => ({ file: 'context-metadata.json', ...e }));
+
+      if (fs.existsSync(historyPath)) {
+        const history = JSON.parse(this.readContextFile(historyPath, 'utf8'));
+        errors.push(...this.getHistorySchemaErrors(history)
+          .map(e => ({ file: SessionHistory.LEGACY_FILE, ...e })));
+      }
+
+      for (const file of this.history.files()) {
+        const { entries } = this.history.readFile(file);
+        errors.push(...this.getHistorySchemaErrors(entries)
+          .map(e => ({ file: path.relative(this.contextPath, file.file), ...e })));
+      }
+
+      if (errors.length === 0) {
         console.log('✅ Context is valid');
-        console.log(`   Version: ${validated.version}`);
-        console.log(`   Last updated: ${validated.lastUpdated}`);
-        console.log(`   Sessions: ${validated.essential?.sessionCount || 0}`);
+        console.log(`   Version: ${metadata.version}`);
+        console.log(`   Last updated: ${metadata.lastUpdated}`);
+        console.log(`   Sessions: ${metadata.essential?.sessionCount || 0}`);
+        return { valid: true, errors };
       }
+
+      console.log(`❌ Context has ${errors.length} schema violation(s):`);
+      errors.forEach(e => console.log(`   - ${e.file}#${e.path}: ${e.message}`));
+      console.log('\n🔧 Run --repair to fix the metadata');
+      return { valid: false, errors };
     } catch (error) {
       console.log('❌ Context validation failed:', error.message);
+      return { valid: false, errors: [{ file: 'context-metadata.json', path: '/', message: error.message }] };
     }
   }
 
@@ -805,181 +2138,812 @@ class OpenCodeAutoLoader {
     
     if (!fs.existsSync(metadataPath)) {
       console.log('⚠️  No metadata file to repair');
-      return;
+      return null;
     }
 
     try {
-      const content = fs.readFileSync(metadataPath, 'utf8');
-      const corrupted = JSON.parse(content);
+      const content = this.readContextFile(metadataPath, 'utf8');
+      // Migrating first refuses files written by a newer loader instead of downgrading them
+      const corrupted = this.migrateMetadata(JSON.parse(content));
       const repaired = this.repairMetadata(corrupted);
       
-      fs.writeFileSync(metadataPath, JSON.stringify(repaired, null, 2));
+      await this.writeMetadataCopies(repaired);
       console.log('✅ Context repaired');
       console.log(`   Version: ${repaired.version}`);
       console.log(`   Last session: ${repaired.essential.lastSession}`);
+      return repaired;
     } catch (error) {
       console.log('❌ Could not repair context:', error.message);
+      return null;
     }
   }
 
-  async showStatus() {
-    console.log('📊 OpenCode Context Status\n');
-    
+  /**
+   * Everything --status reports, as data:
+   * { storage, location, files, metadata, error, history, copies, lastReconciliation, pendingDeltas }
+   */
+  async getStatus() {
+    const modular = this.storage.name === 'modular';
     const metadataPath = path.join(this.contextPath, 'context-metadata.json');
     const deltaPath = path.join(this.contextPath, 'context-deltas.jsonl');
-    
-    let hasMetadata = fs.existsSync(metadataPath);
-    let hasDeltas = fs.existsSync(deltaPath);
-    
-    console.log(`   Metadata: ${hasMetadata ? '✅' : '❌'}`);
-    console.log(`   Deltas: ${hasDeltas ? '✅' : '❌'}`);
-    
-    if (hasMetadata) {
-      try {
-        const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
-        console.log(`   Version: ${metadata.version}`);
-        console.log(`   Last session: ${metadata.essential?.lastSession || 'Unknown'}`);
-        console.log(`   Session count: ${metadata.essential?.sessionCount || 0}`);
-      } catch {
-        console.log('   ⚠️  Could not read metadata');
+    const status = {
+      storage: this.storage.name,
+      location: modular ? path.join(this.contextPath, MODULAR_DIR) : metadataPath,
+      files: modular ? null : { metadata: fs.existsSync(metadataPath), deltas: fs.existsSync(deltaPath) },
+      metadata: null,
+      error: null,
+      history: null,
+      copies: null,
+      lastReconciliation: null,
+      pendingDeltas: {}
+    };
+
+    let metadata = null;
+    try {
+      if (modular) {
+        metadata = (await this.storage.load()).metadata;
+      } else if (status.files.metadata) {
+        metadata = JSON.parse(this.readContextFile(metadataPath, 'utf8'));
       }
+    } catch (error) {
+      status.error = error.message;
     }
-    
-      if (hasDeltas) {
+
+    if (metadata) {
+      status.metadata = {
+        version: metadata.version,
+        lastSession: metadata.essential?.lastSession || null,
+        sessionCount: metadata.essential?.sessionCount || 0
+      };
+      if (metadata.historyLog) {
+        status.history = { ...metadata.historyLog, monthFiles: this.history.files().length };
+      }
+    }
+
+    if (modular) {
+      status.pendingDeltas = this.storage.pendingDeltas();
+      return status;
+    }
+
+    const { copies, winner, inSync } = this.inspectMetadataCopies();
+    if (copies.length > 1) {
+      status.copies = {
+        inSync,
+        winner: winner?.source || null,
+        sources: copies.map(({ source, valid, lastUpdated, error }) => ({ source, valid, lastUpdated: lastUpdated || null, error: error || null }))
+      };
+    }
+    status.lastReconciliation = ContextCompressor.readManifest(this.contextPath).lastReconciliation || null;
+
+    if (status.files.deltas) {
       try {
-        const content = fs.readFileSync(deltaPath, 'utf8').trim();
-        const count = content ? content.split('\n').length : 0;
-        console.log(`   Pending deltas: ${count}`);
+        const content = this.readContextFile(deltaPath, 'utf8').trim();
+        status.pendingDeltas = { metadata: content ? content.split('\n').length : 0 };
       } catch {
-        console.log('   ⚠️  Could not count deltas');
+        status.pendingDeltas = { metadata: null };
+      }
+    }
+    return status;
+  }
+
+  async showStatus() {
+    console.log('📊 OpenCode Context Status\n');
+
+    const status = await this.getStatus();
+    const modular = status.storage === 'modular';
+
+    if (modular) {
+      console.log(`   Storage: modular (${status.location})`);
+    } else {
+      console.log('   Storage: monolithic');
+      console.log(`   Metadata: ${status.files.metadata ? '✅' : '❌'}`);
+      console.log(`   Deltas: ${status.files.deltas ? '✅' : '❌'}`);
+    }
+
+    if (status.metadata) {
+      console.log(`   Version: ${status.metadata.version}`);
+      console.log(`   Last session: ${status.metadata.lastSession || 'Unknown'}`);
+      console.log(`   Session count: ${status.metadata.sessionCount}`);
+      if (status.history) {
+        const { entries, dir, monthFiles, lastEntry } = status.history;
+        console.log(`   History: ${entries} session(s) in ${dir}/ (${monthFiles} month file(s), last ${lastEntry})`);
+      }
+    } else if (status.error) {
+      console.log(modular ? `   ⚠️  Could not read modules: ${status.error}` : '   ⚠️  Could not read metadata');
+    }
+
+    if (status.copies) {
+      if (status.copies.inSync) {
+        console.log(`   Copies: ${status.copies.sources.map(copy => copy.source).join(', ')} (in sync)`);
+      } else {
+        const state = status.copies.sources.map(copy => `${copy.source} ${copy.valid ? copy.lastUpdated || '?' : `invalid: ${copy.error}`}`);
+        console.log(`   ⚠️  Copies diverged: ${state.join('; ')}`);
+        if (status.copies.winner) console.log(`      Next load keeps ${status.copies.winner} and rewrites the others`);
+      }
+    }
+
+    const event = status.lastReconciliation;
+    if (event) {
+      const replaced = event.replaced.map(copy => `${copy.source} (${copy.reason})`).join(', ');
+      console.log(`   Last reconciliation: ${event.at} - kept ${event.kept}, rewrote ${replaced}`);
+    }
+
+    const pending = Object.entries(status.pendingDeltas);
+    if (modular && pending.some(([, count]) => count > 0)) {
+      console.log(`   Pending deltas: ${pending.filter(([, count]) => count > 0).map(([name, count]) => `${name} ${count}`).join(', ')}`);
+    } else if (!modular && status.files.deltas) {
+      const count = status.pendingDeltas.metadata;
+      console.log(count === null ? '   ⚠️  Could not count deltas' : `   Pending deltas: ${count}`);
+    }
+
+    return status;
+  }
+
+  /**
+   * Which context root was picked and where each context file resolves to:
+   * { root: { path, source }, candidates, files: [{ name, path, exists, source }] }
+   */
+  getContextLocations() {
+    const { source, candidates } = this.contextRoot;
+    const root = { path: this.contextPath, source };
+    if (!this.contextPath) return { root, candidates, files: [] };
+
+    const inRoot = name => {
+      const filePath = path.join(this.contextPath, name);
+      return { name, path: filePath, exists: fs.existsSync(filePath), source };
+    };
+    // Plain file plus whichever compressed copies exist
+    const withCopies = name => [
+      inRoot(name),
+      ...ContextCompressor.ALGORITHMS
+        .map(algorithm => inRoot(ContextCompressor.compressedPathFor(name, algorithm)))
+        .filter(file => file.exists)
+    ];
+
+    // The session markdown is the one file that may come from outside the root
+    const sessionFiles = this.sessionContextCandidates().map((filePath, i) => ({
+      name: 'SESSION_CONTEXT_COMPLETE.md',
+      path: filePath,
+      exists: fs.existsSync(filePath) || ContextCompressor.ALGORITHMS.some(algorithm =>
+        fs.existsSync(ContextCompressor.compressedPathFor(filePath, algorithm))),
+      source: i === 0 ? source : `~/${path.dirname(SESSION_CONTEXT_FALLBACK)}`
+    }));
+    const session = sessionFiles.find(file => file.exists) || sessionFiles[0];
+
+    return {
+      root,
+      candidates,
+      files: [
+        ...withCopies('context-metadata.json'),
+        inRoot('context-deltas.jsonl'),
+        ...(session.path === sessionFiles[0].path ? withCopies(session.name) : [session]),
+        inRoot('QUICK_REFERENCE.md'),
+        inRoot('automation-config.json'),
+        inRoot('facts.json'),
+        inRoot(`${MODULAR_DIR}/`),
+        inRoot(`${SessionHistory.HISTORY_DIR}/`),
+        inRoot(`${ProjectProfiles.PROFILES_DIR}/`)
+      ]
+    };
+  }
+
+  showContextLocations() {
+    const locations = this.getContextLocations();
+    const { root, candidates, files } = locations;
+
+    console.log('📍 OpenCode Context Locations\n');
+    console.log(root.path ? `   Root: ${root.path} (from ${root.source})` : '   Root: ❌ not resolved');
+    console.log('\n   Checked in order:');
+    for (const candidate of candidates) {
+      const state = !candidate.path ? '➖' : candidate.exists ? '✅' : '❌';
+      console.log(`   ${state} ${candidate.source}: ${candidate.path || '(not set)'}${candidate.path === root.path ? '  ← used' : ''}`);
+    }
+
+    if (files.length > 0) {
+      console.log('\n   Files:');
+      for (const file of files) {
+        const origin = file.source === root.source ? '' : ` (from ${file.source})`;
+        console.log(`   ${file.exists ? '✅' : '❌'} ${file.name}: ${file.path}${origin}`);
       }
     }
+
+    return locations;
   }
 
   async decompressContext() {
     console.log('📦 Decompressing context files...\n');
     
-    const compressedPath = path.join(this.contextPath, 'context-metadata.json.gz');
-    const metadataPath = path.join(this.contextPath, 'context-metadata.json');
+    try {
+      return await this.withContextLock(async () => {
+        const manifest = ContextCompressor.readManifest(this.contextPath);
+        const ops = [];
+        const result = { restored: [], skipped: [] };
+
+        for (const file of Object.keys(manifest.files)) {
+          const filePath = path.join(this.contextPath, file);
+          const verified = this.readVerifiedCompressed(filePath, file);
+          if (!verified) {
+            console.log(`ℹ️  Skipped ${file}: no verified compressed copy (plain file kept)`);
+            result.skipped.push(file);
+            continue;
+          }
+          ops.push({ type: 'write', file: filePath, data: verified.data });
+          result.restored.push({ file, algorithm: verified.algorithm });
+          console.log(`✅ ${file} restored from ${verified.algorithm}`);
+        }
 
-    // Decompress metadata
-    if (fs.existsSync(compressedPath)) {
-      try {
-        const compressed = fs.readFileSync(compressedPath);
-        const decompressed = zlib.gunzipSync(compressed);
-        fs.writeFileSync(metadataPath, decompressed);
-        console.log('✅ Metadata decompressed');
-      } catch (error) {
-        console.log('⚠️  Could not decompress metadata:', error.message);
-      }
+        if (ops.length === 0) {
+          console.log('ℹ️  Nothing to decompress');
+          return result;
+        }
+
+        // Re-stamp the manifest after the plain files so the copies stay current
+        ops.push({
+          type: 'write',
+          file: ContextCompressor.manifestPath(this.contextPath),
+          data: JSON.stringify(ContextCompressor.updateManifest(this.contextPath, {}), null, 2)
+        });
+        this.writer.commit(ops);
+        return result;
+      });
+    } catch (error) {
+      console.log('⚠️  Could not decompress context:', error.message);
+      return null;
     }
   }
 
   async deduplicateContext() {
     console.log('🔄 Deduplicating context...\n');
-    
-    const sessionPath = path.join(this.contextPath, 'SESSION_CONTEXT_COMPLETE.md');
-    const factsPath = path.join(this.contextPath, 'facts.json');
 
-    if (!fs.existsSync(sessionPath)) {
+    const documents = this.readFactSources();
+    if (documents.length === 0) {
       console.log('⚠️  No session context found');
-      return;
+      return null;
     }
 
-    const content = fs.readFileSync(sessionPath, 'utf8');
-    
-    // Extract unique facts
-    const facts = {
-      facts: {},
-      version: SCHEMA_VERSION,
-      lastUpdated: new Date().toISOString()
-    };
+    const store = await this.withContextLock(async () => {
+      const built = buildFactStore(this.readFacts(), documents);
+      this.writeFacts(built);
+      return built;
+    });
 
-    // Extract stack info
-    const stackMatch = content.match(/\*\*User Stack\*\*:\s*([^\n]+)/);
-    if (stackMatch) {
-      const stackItems = stackMatch[1].split('+').map(s => s.trim());
-      facts.facts['fact:stack-full'] = {
-        id: 'fact:stack-full',
-        category: 'tech-stack',
-        content: stackItems,
-        usedIn: ['metadata.essential.stack', 'session-context']
-      };
+    const facts = Object.values(store.facts);
+    const occurrences = facts.reduce((sum, fact) => sum + fact.occurrences.length, 0);
+    const shared = facts.filter(fact => fact.occurrences.length > 1).length;
+    const orphaned = facts.filter(fact => fact.occurrences.length === 0).length;
+
+    console.log('✅ Facts extracted to facts.json');
+    console.log(`   Found ${facts.length - orphaned} unique facts in ${occurrences} places (${shared} appear more than once)`);
+    if (orphaned > 0) {
+      console.log(`   ${orphaned} fact(s) no longer appear in the markdown and are kept for reference`);
     }
+    return store;
+  }
 
-    // Extract projects
-    const projectsMatch = content.match(/\*\*User Projects\*\*:\s*([^\n]+)/);
-    if (projectsMatch) {
-      const projects = projectsMatch[1].split(',').map(p => p.trim());
-      facts.facts['fact:projects'] = {
-        id: 'fact:projects',
-        category: 'projects',
-        content: projects,
-        usedIn: ['metadata.essential.projects', 'session-context']
+  // Markdown files facts are extracted from, as [{ file, content }]
+  readFactSources() {
+    return FACT_SOURCES
+      .map(file => ({ file, filePath: path.join(this.contextPath, file) }))
+      .filter(({ filePath }) => fs.existsSync(filePath))
+      .map(({ file, filePath }) => ({ file, content: this.readContextFile(filePath, 'utf8') }));
+  }
+
+  readFacts() {
+    const factsPath = path.join(this.contextPath, 'facts.json');
+    try {
+      return fs.existsSync(factsPath) ? JSON.parse(this.readContextFile(factsPath, 'utf8')) : null;
+    } catch {
+      console.log('⚠️  Could not read facts.json, rebuilding it');
+      return null;
+    }
+  }
+
+  writeFacts(store, extraOps = []) {
+    this.writer.commit([
+      ...extraOps,
+      {
+        type: 'write',
+        file: path.join(this.contextPath, 'facts.json'),
+        data: JSON.stringify({ version: SCHEMA_VERSION, ...store }, null, 2)
+      }
+    ]);
+  }
+
+  listFacts(query = '') {
+    const store = this.readFacts();
+    if (!store?.facts) {
+      console.log('ℹ️  No facts yet - run --dedupe first');
+      return [];
+    }
+
+    const needle = query.toLowerCase();
+    const facts = Object.values(store.facts).filter(fact =>
+      !needle || JSON.stringify([fact.key, fact.value, fact.text]).toLowerCase().includes(needle));
+
+    console.log(`🧾 ${facts.length} fact(s)${query ? ` matching "${query}"` : ''}:\n`);
+    facts.forEach(fact => {
+      const body = fact.kind === 'kv' ? `${fact.key}: ${fact.value}` : fact.text;
+      const places = fact.occurrences.map(o => `${o.file}:${o.line}`).join(', ') || 'not in markdown';
+      console.log(`   ${fact.id}  ${body}`);
+      console.log(`      ${places}`);
+    });
+    return facts;
+  }
+
+  // Edit one fact and rewrite every place it appears
+  async setFact(id, value) {
+    if (!id || value === undefined) {
+      console.log('❌ Usage: --set-fact <fact id> <new value>');
+      return null;
+    }
+
+    const store = this.readFacts();
+    const fact = store?.facts?.[id];
+    if (!fact) {
+      console.log(`❌ Unknown fact: ${id} (run --facts to list them)`);
+      return null;
+    }
+
+    fact[fact.kind === 'kv' ? 'value' : 'text'] = value;
+    console.log(`✏️  Updated ${id}`);
+    return this.regenerateFromFacts(store);
+  }
+
+  /**
+   * Rewrite the markdown files from facts.json, then re-extract so line
+   * numbers and content hashes follow the new text. Fact ids stay the same.
+   */
+  async regenerateFromFacts(edited = null) {
+    console.log('🔁 Regenerating markdown from facts...\n');
+
+    try {
+      return await this.withContextLock(async () => {
+        const store = edited || this.readFacts();
+        if (!store?.facts) {
+          console.log('ℹ️  No facts yet - run --dedupe first');
+          return null;
+        }
+
+        const documents = [];
+        const changed = [];
+        for (const { file, content } of this.readFactSources()) {
+          const result = regenerateDocument(content, file, store);
+          result.missing.forEach(m => console.log(`⚠️  ${m.id} no longer found in ${m.file} (was line ${m.line})`));
+          if (result.updated > 0) {
+            console.log(`✅ ${file}: ${result.updated} line(s) updated`);
+            changed.push(file);
+          }
+          documents.push({ file, content: result.content });
+        }
+        if (changed.length === 0) {
+          console.log('✅ Markdown already matches facts.json');
+        }
+
+        // Edited facts are now on disk under their new content
+        for (const fact of Object.values(store.facts)) {
+          fact.hash = contentHash(fact);
+        }
+        const rebuilt = buildFactStore(store, documents);
+
+        this.writeFacts(rebuilt, documents.filter(({ file }) => changed.includes(file)).map(({ file, content }) => ({
+          type: 'write',
+          file: path.join(this.contextPath, file),
+          data: content
+        })));
+        return rebuilt;
+      });
+    } catch (error) {
+      console.log('❌ Could not regenerate markdown:', error.message);
+      return null;
+    }
+  }
+
+  // Every delta of the context in order: archived segments, then the pending log
+  readDeltaTimeline() {
+    return [...this.readDeltaArchive().flatMap(segment => segment.deltas), ...this.readDeltaLog()];
+  }
+
+  // Metadata with the full delta timeline replayed, read without touching the files
+  readEffectiveMetadata() {
+    const base = this.readMetadataFile();
+    return this.rebuildMetadata(base ? this.migrateMetadata(base) : null);
+  }
+
+  /**
+   * Three-way merge with another copy of the context, e.g. the other
+   * machine's directory from a file sync conflict. The two delta timelines
+   * are split at their common ancestor and both tails are interleaved by
+   * timestamp and id, so either machine arrives at the same log. History
+   * entries are deduplicated. Fields both sides changed are reported for
+   * manual resolution; the later change is the one applied.
+   */
+  async mergeContext(otherDir) {
+    const other = new OpenCodeAutoLoader({ contextDir: otherDir });
+    const fail = (message, code) => Object.assign(new Error(message), { code });
+    if (!fs.existsSync(other.contextPath)) {
+      throw fail(`No context directory at ${other.contextPath}`, 'ENOCONTEXT');
+    }
+    if (path.resolve(other.contextPath) === path.resolve(this.contextPath)) {
+      throw fail('--merge needs a different context directory than the current one', 'EUSAGE');
+    }
+    if (other.storage.name === 'modular') {
+      throw fail(`${other.contextPath} uses modular storage; --demodularize it first`, 'EMODULAR');
+    }
+    // An encrypted copy needs its key from this machine's keychain
+    other.keyStore = this.keyStore;
+    await other.loadEncryptionKey();
+
+    return this.withContextLock(async () => {
+      const before = this.readEffectiveMetadata();
+      const theirs = other.readEffectiveMetadata();
+      const archived = this.readDeltaArchive().flatMap(segment => segment.deltas);
+      const pending = this.readDeltaLog();
+      const timeline = [...archived, ...pending];
+      const { ancestor, common, localTail, otherTail } = splitAtAncestor(timeline, other.readDeltaTimeline());
+
+      // Everything after the ancestor is re-ordered, except deltas this side already compacted
+      const archivedIds = new Set(archived.map(delta => delta.id));
+      const merged = [...timeline.slice(0, common), ...interleave(timeline.slice(common), otherTail)]
+        .filter(delta => !archivedIds.has(delta.id));
+
+      const legacyHistory = fs.existsSync(other.history.legacyPath)
+        ? JSON.parse(other.readContextFile(other.history.legacyPath, 'utf8'))
+        : [];
+      const history = this.history.mergeOps([...other.history.read(), ...(Array.isArray(legacyHistory) ? legacyHistory : [])]);
+
+      const ops = [...history.ops];
+      const ids = deltas => deltas.map(delta => delta.id).join('\n');
+      if (ids(merged) !== ids(pending)) {
+        ops.push({
+          type: 'write',
+          file: path.join(this.contextPath, 'context-deltas.jsonl'),
+          data: merged.map(delta => JSON.stringify(delta) + '\n').join('')
+        });
+      }
+      if (ops.length > 0) this.writer.commit(ops);
+      if (otherTail.length > 0 || history.added > 0) {
+        await this.syncHistoryPointer();
+      }
+
+      const after = this.readEffectiveMetadata();
+      const conflicts = fieldConflicts(localTail, otherTail).map(conflict => ({
+        ...conflict,
+        localValue: lookup(before, conflict.path) ?? null,
+        otherValue: lookup(theirs, conflict.path) ?? null,
+        applied: lookup(after, conflict.path) ?? null
+      }));
+      await this.checkAndCompactDeltas();
+
+      const result = {
+        ancestor: ancestor ? { id: ancestor.id, timestamp: ancestor.timestamp } : null,
+        localDeltas: localTail.length,
+        incomingDeltas: otherTail.length,
+        history: { added: history.added },
+        conflicts
       };
+
+      console.log(`🔀 Merged ${other.contextPath}`);
+      console.log(`   Common ancestor: ${ancestor ? `${ancestor.id} (${ancestor.timestamp})` : 'none'}`);
+      if (!ancestor && localTail.length > 0 && otherTail.length > 0) {
+        console.log('   ⚠️  The two contexts share no deltas; every change was interleaved');
+      }
+      console.log(`   Deltas: ${localTail.length} local-only, ${otherTail.length} incoming (interleaved by timestamp)`);
+      console.log(`   History entries added: ${history.added}`);
+      if (conflicts.length > 0) {
+        console.log(`\n⚠️  ${conflicts.length} field(s) changed on both sides - resolve manually:`);
+        for (const conflict of conflicts) {
+          console.log(`   ${conflict.path}`);
+          console.log(`      local:   ${JSON.stringify(conflict.localValue)}  (${conflict.local.join(', ')})`);
+          console.log(`      other:   ${JSON.stringify(conflict.otherValue)}  (${conflict.other.join(', ')})`);
+          console.log(`      applied: ${JSON.stringify(conflict.applied)}  (the later change)`);
+        }
+      }
+      return result;
+    });
+  }
+
+  async exportContext(file) {
+    const result = await this.bundles.export(file);
+    console.log(`📦 Exported ${result.manifest.files.length} file(s) to ${result.file} (${(result.bytes / 1024).toFixed(1)} KB)`);
+    result.manifest.files.forEach(entry => console.log(`   ${entry.path}`));
+    return result;
+  }
+
+  // mode: null (only into an empty context), 'replace' or 'merge'
+  async importContext(file, mode = null) {
+    const result = await this.bundles.import(file, { mode });
+
+    if (result.mode !== 'merge') {
+      console.log(`📥 Restored ${result.restored.length} file(s) from ${file}`);
+      if (result.removed.length > 0) console.log(`   Removed: ${result.removed.join(', ')}`);
+      return result;
     }
 
-    fs.writeFileSync(factsPath, JSON.stringify(facts, null, 2));
-    console.log('✅ Facts extracted to facts.json');
-    console.log(`   Found ${Object.keys(facts.facts).length} unique facts`);
+    console.log(`🔀 Merged ${file}`);
+    console.log(`   Deltas replayed: ${result.deltas.replayed} (${result.deltas.known} already here)`);
+    console.log(`   History entries added: ${result.history.added}`);
+    if (result.added.length > 0) console.log(`   Files added: ${result.added.join(', ')}`);
+    if (result.conflicts.length > 0) {
+      console.log(`⚠️  ${result.conflicts.length} conflict(s), local side kept:`);
+      result.conflicts.forEach(conflict => console.log(`   ${conflict.file}${conflict.path ? ` ${conflict.path}` : ''}: ${conflict.reason}`));
+    }
+    return result;
   }
 
-  async modularizeContext() {
-    console.log('📦 Modularizing context...\n');
-    
-    const contextDir = path.join(this.contextPath, 'context');
-    await fs.promises.mkdir(contextDir, { recursive: true });
+  // Context files the store encrypts that exist right now (compressed copies, modules, history, profiles)
+  encryptedFiles() {
+    const names = [
+      ...fs.readdirSync(this.contextPath),
+      ...ContextCipher.ENCRYPTED_DIRS
+        .filter(dir => fs.existsSync(path.join(this.contextPath, dir)))
+        .flatMap(dir => fs.readdirSync(path.join(this.contextPath, dir)).map(name => path.join(dir, name)))
+    ];
 
-    // Load current metadata
-    let metadata = this.createDefaultMetadata();
-    const metadataPath = path.join(this.contextPath, 'context-metadata.json');
-    
-    if (fs.existsSync(metadataPath)) {
-      try {
-        metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
-      } catch {
-        console.log('⚠️  Could not load metadata');
+    return names
+      .filter(name => !name.endsWith('.tmp') && ContextCipher.isEncryptedPath(name))
+      .map(name => path.join(this.contextPath, name))
+      .filter(filePath => fs.statSync(filePath).isFile());
+  }
+
+  /**
+   * Rewrite every encrypted file with cipher in one transaction, then record
+   * state (null for a plain store). The current cipher must be able to read
+   * the files. Call with the context lock held. Returns the files rewritten.
+   */
+  reencodeStore(cipher, state) {
+    const files = this.encryptedFiles().map(file => ({ file, data: this.readContextFile(file) }));
+    // Stale entries go now: with new sizes on disk they would look current
+    const manifest = ContextCompressor.updateManifest(this.contextPath, {});
+    const statePath = path.join(this.contextPath, ContextCipher.STATE_FILE);
+
+    const previous = this.cipher;
+    this.cipher = cipher;
+    try {
+      for (const [name, entry] of Object.entries(manifest.files)) {
+        const storedBytes = this.storedLength(path.join(this.contextPath, name), entry.bytes);
+        if (storedBytes !== entry.bytes) entry.storedBytes = storedBytes;
+        else delete entry.storedBytes;
       }
+
+      this.writer.commit([
+        ...files.map(({ file, data }) => ({ type: 'write', file, data })),
+        { type: 'write', file: ContextCompressor.manifestPath(this.contextPath), data: JSON.stringify(manifest, null, 2) },
+        state ? { type: 'write', file: statePath, data: JSON.stringify(state, null, 2) } : { type: 'unlink', file: statePath }
+      ]);
+    } catch (error) {
+      this.cipher = previous;
+      throw error;
     }
+    return files.map(({ file }) => path.relative(this.contextPath, file));
+  }
 
-    // Create modular files
-    const modules = {
-      '__init__.json': {
-        version: metadata.version,
-        schemaVersion: SCHEMA_VERSION,
-        lastUpdated: metadata.lastUpdated
-      },
-      'base.json': {
-        lastSession: metadata.essential?.lastSession,
-        sessionCount: metadata.essential?.sessionCount
-      },
-      'stack.json': {
-        stack: metadata.essential?.stack
-      },
-      'projects.json': {
-        projects: metadata.essential?.projects
-      },
-      'history.json': {
-        sessionHistory: metadata.sessionHistory || []
+  // --encrypt: seal the store with the keychain's context key, creating one if there is none
+  async encryptContext() {
+    return this.withContextLock(async () => {
+      const state = await this.loadEncryptionKey();
+      if (state) {
+        console.log(`ℹ️  Context is already encrypted (key ${state.keyId})`);
+        return { encrypted: true, changed: false, keyId: state.keyId, files: [] };
       }
-    };
 
-    for (const [filename, data] of Object.entries(modules)) {
-      const modulePath = path.join(contextDir, filename);
-      fs.writeFileSync(modulePath, JSON.stringify(data, null, 2));
+      const keyStore = this.getKeyStore();
+      let key = await keyStore.get('current');
+      if (!key) {
+        key = keyStore.generate();
+        await keyStore.set('current', key);
+        console.log('🔑 Created a context key in the keychain');
+      }
+
+      const keyId = ContextCipher.keyIdOf(key);
+      const files = this.reencodeStore(new ContextCipher(key), {
+        algorithm: ContextCipher.ALGORITHM,
+        keyId,
+        encryptedAt: new Date().toISOString()
+      });
+      console.log(`🔒 Encrypted ${files.length} file(s) with key ${keyId}`);
+      console.log('   Keep the key: without it this context cannot be read (--export writes a plain bundle)');
+      return { encrypted: true, changed: true, keyId, files };
+    });
+  }
+
+  // --decrypt: turn encryption off, rewriting the store as plaintext (the key stays in the keychain)
+  async decryptContext() {
+    return this.withContextLock(async () => {
+      const state = await this.loadEncryptionKey();
+      if (!state) {
+        console.log('ℹ️  Context is not encrypted');
+        return { encrypted: false, changed: false, files: [] };
+      }
+
+      const files = this.reencodeStore(new ContextCipher(null, { previous: [this.cipher.key] }), null);
+      this.cipher = new ContextCipher();
+      console.log(`🔓 Decrypted ${files.length} file(s)`);
+      return { encrypted: false, changed: true, keyId: state.keyId, files };
+    });
+  }
+
+  /**
+   * --rekey: move the store to a fresh key. The new key is parked in the
+   * keychain's 'next' slot, every file is rewritten in one transaction, and
+   * only then does the key become current (loadEncryptionKey finishes that
+   * last step if we stop in between).
+   */
+  async rekeyContext() {
+    return this.withContextLock(async () => {
+      const state = await this.loadEncryptionKey();
+      if (!state) {
+        throw ContextCipher.keyError('ENOTENCRYPTED', 'Context is not encrypted - run --encrypt first');
+      }
+
+      const keyStore = this.getKeyStore();
+      const key = keyStore.generate();
+      const keyId = ContextCipher.keyIdOf(key);
+      await keyStore.set('next', key);
+
+      const files = this.reencodeStore(new ContextCipher(key, { previous: [this.cipher.key] }), {
+        ...state,
+        keyId,
+        rekeyedAt: new Date().toISOString()
+      });
+      await keyStore.set('current', key);
+      await keyStore.delete('next');
+
+      console.log(`🔑 Re-encrypted ${files.length} file(s) with key ${keyId} (was ${state.keyId})`);
+      return { encrypted: true, changed: true, keyId, previousKeyId: state.keyId, files };
+    });
+  }
+
+  /**
+   * --scan: find secrets already stored in context files (written before
+   * redaction existed, or edited in by hand) and redact them in one
+   * transaction. Compressed copies of a scrubbed file are rebuilt from it.
+   * Returns { scrubbed, findings: [{ file, line?, path?, kind, preview }] }.
+   */
+  async scanContext({ dryRun = false } = {}) {
+    console.log(`🔍 Scanning context files for secrets${dryRun ? ' (dry run)' : ''}...\n`);
+
+    return this.withContextLock(async () => {
+      const copyPaths = COMPRESSIBLE_FILES.flatMap(file => ContextCompressor.ALGORITHMS.map(algorithm =>
+        ContextCompressor.compressedPathFor(path.join(this.contextPath, file), algorithm)));
+      const quickReference = path.join(this.contextPath, 'QUICK_REFERENCE.md');
+      const files = [
+        ...this.encryptedFiles().filter(file => !copyPaths.includes(file)),
+        ...(fs.existsSync(quickReference) ? [quickReference] : [])
+      ];
+
+      const ops = [];
+      const entries = {};
+      const findings = [];
+      for (const filePath of files) {
+        const file = path.relative(this.contextPath, filePath);
+        const result = scrubContent(file, this.readContextFile(filePath));
+        findings.push(...result.findings.map(finding => ({ file, ...finding })));
+
+        // A copy can hold secrets its plain file no longer has
+        const copies = COMPRESSIBLE_FILES.includes(file) ? this.compressionAlgorithmsFor(file)
+          .map(algorithm => ({ algorithm, copyPath: ContextCompressor.compressedPathFor(filePath, algorithm) }))
+          .filter(({ copyPath }) => fs.existsSync(copyPath)) : [];
+        const staleCopies = copies.filter(({ algorithm, copyPath }) => {
+          try {
+            const content = ContextCompressor.decompressBuffer(this.readContextFile(copyPath), algorithm);
+            return scrubContent(file, content).findings.length > 0;
+          } catch {
+            return false;
+          }
+        });
+        if (!result.data && staleCopies.length === 0) continue;
+
+        const data = result.data || this.readContextFile(filePath);
+        if (result.data) ops.push({ type: 'write', file: filePath, data });
+        if (copies.length > 0) {
+          const copy = this.compressedCopyOps(
+            filePath,
+            data,
+            copies.map(({ algorithm }) => algorithm),
+            result.data ? undefined : fs.statSync(filePath).size
+          );
+          if (file === 'context-metadata.json') copy.entry.lastUpdated = JSON.parse(data.toString('utf8')).lastUpdated;
+          ops.push(...copy.ops);
+          entries[file] = copy.entry;
+          staleCopies.forEach(({ copyPath }) => findings.push({
+            file: path.relative(this.contextPath, copyPath),
+            kind: 'compressed copy',
+            preview: `rebuilt from ${file}`
+          }));
+        }
+      }
+
+      findings.forEach(finding => console.log(`   ${finding.file}${finding.line ? `:${finding.line}` : ''}${finding.path ? ` ${finding.path}` : ''}: ${finding.kind} ${finding.preview}`));
+      if (findings.length === 0) {
+        console.log('✅ No secrets found');
+        return { scrubbed: false, findings };
+      }
+      if (dryRun) {
+        console.log(`\n⚠️  ${findings.length} secret(s) found; run --scan without --dry-run to redact them`);
+        return { scrubbed: false, findings };
+      }
+
+      if (Object.keys(entries).length > 0) {
+        ops.push({
+          type: 'write',
+          file: ContextCompressor.manifestPath(this.contextPath),
+          data: JSON.stringify(ContextCompressor.updateManifest(this.contextPath, entries), null, 2)
+        });
+      }
+      this.writer.commit(ops);
+      // Anything already loaded may still hold the secrets
+      this.metadata = null;
+      this._metadataComplete = false;
+
+      console.log(`\n🔒 Redacted ${findings.length} finding(s) in ${new Set(ops.map(op => op.file)).size} file(s)`);
+      return { scrubbed: true, findings };
+    });
+  }
+
+  async modularizeContext() {
+    console.log('📦 Modularizing context...\n');
+
+    const location = path.join(this.contextPath, MODULAR_DIR);
+    if (this.storage.name === 'modular') {
+      console.log('ℹ️  Context already uses modular storage');
+      return { storage: 'modular', changed: false, location };
     }
+    if (!await this.switchStorage(new MonolithicStorage(this), new ModularStorage(this))) return null;
 
     console.log('✅ Context modularized');
-    console.log(`   Created ${Object.keys(modules).length} module files`);
-    console.log(`   Location: ${contextDir}`);
+    console.log(`   Location: ${location}`);
+    console.log('   Startup now reads only base.json; other modules load on demand');
+    return { storage: 'modular', changed: true, location };
+  }
+
+  async demodularizeContext() {
+    console.log('📦 Demodularizing context...\n');
+
+    const location = path.join(this.contextPath, 'context-metadata.json');
+    if (this.storage.name !== 'modular') {
+      console.log('ℹ️  Context already uses monolithic storage');
+      return { storage: 'monolithic', changed: false, location };
+    }
+    if (!await this.switchStorage(new ModularStorage(this), new MonolithicStorage(this))) return null;
+
+    console.log('✅ Context demodularized');
+    console.log(`   Location: ${location}`);
+    return { storage: 'monolithic', changed: true, location };
+  }
+
+  // Move metadata (pending deltas folded in) between backends in one transaction
+  async switchStorage(from, to) {
+    try {
+      await this.withContextLock(async () => {
+        const { metadata, base } = await from.load();
+        const current = metadata || this.createDefaultMetadata();
+
+        // Write the new layout first, then remove the old one
+        this.writer.commit([...to.writeOps(current), ...from.removeOps({ base, metadata: current })]);
+      });
+      this._metadataComplete = false;
+      return true;
+    } catch (error) {
+      console.log(`❌ Could not switch to ${to.name} storage:`, error.message);
+      return false;
+    }
   }
 }
 
 module.exports = OpenCodeAutoLoader;
+module.exports.OpenCodeAutoLoader = OpenCodeAutoLoader;
+module.exports.EXIT_CODES = EXIT_CODES;
 
 // CLI entry point
 if (require.main === module) {
   const loader = new OpenCodeAutoLoader();
   const args = process.argv.slice(2);
-  loader.handleCommand(args).catch(console.error);
+  loader.handleCommand(args)
+    .then(({ exitCode }) => {
+      process.exitCode = exitCode;
+    })
+    .catch(error => {
+      console.error(error);
+      process.exitCode = EXIT_CODES.failed;
+    });
 }
\ No newline at end of file
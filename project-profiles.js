@@ -0,0 +1,155 @@
+/**
+ * Project Profiles
+ * Per-project context layered on top of the global metadata
+ *
+ * projects/<name>.json          { name, path, essential: {...}, createdAt, lastUpdated }
+ * projects/<name>.deltas.jsonl  pending deltas for that profile only
+ *
+ * A profile applies when the working directory is its path or inside it;
+ * the deepest matching path wins. Profile fields override the global ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = 'projects';
+
+// Same threshold as the metadata delta logs
+const COMPACT_THRESHOLD = 50;
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+class ProjectProfiles {
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  get dir() {
+    return path.join(this.loader.contextPath, PROFILES_DIR);
+  }
+
+  profilePath(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  deltaLogPath(name) {
+    return path.join(this.dir, `${name}.deltas.jsonl`);
+  }
+
+  // Stored profiles (without pending deltas), sorted by name
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .flatMap(file => {
+        try {
+          return [JSON.parse(this.loader.readContextFile(path.join(this.dir, file), 'utf8'))];
+        } catch {
+          console.log(`⚠️  Skipping unreadable project profile ${file}`);
+          return [];
+        }
+      });
+  }
+
+  find(name) {
+    return this.list().find(profile => profile.name === name) || null;
+  }
+
+  // Profile whose path contains dir, preferring the deepest one
+  findByPath(dir) {
+    const target = path.resolve(dir);
+    return this.list()
+      .filter(profile => profile.path && isInside(profile.path, target))
+      .sort((a, b) => b.path.length - a.path.length)[0] || null;
+  }
+
+  async create(name, projectPath) {
+    if (!NAME_PATTERN.test(name || '')) {
+      const error = new Error(`Invalid project name "${name}" (letters, digits, ".", "_" and "-" only)`);
+      error.code = 'EPROJECTNAME';
+      throw error;
+    }
+
+    return this.loader.withContextLock(async () => {
+      const resolved = path.resolve(projectPath);
+      const existing = this.list().find(profile => profile.name === name || profile.path === resolved);
+      if (existing) {
+        const error = new Error(`Project profile "${existing.name}" already exists for ${existing.path}`);
+        error.code = 'EPROJECTEXISTS';
+        throw error;
+      }
+
+      const now = new Date().toISOString();
+      const profile = { name, path: resolved, essential: {}, createdAt: now, lastUpdated: now };
+      this.loader.writer.writeJsonAtomic(this.profilePath(name), profile);
+      return profile;
+    });
+  }
+
+  readDeltaLog(name) {
+    const logPath = this.deltaLogPath(name);
+    if (!fs.existsSync(logPath)) return [];
+    return this.loader.parseDeltaLines(this.loader.readContextFile(logPath, 'utf8').trim());
+  }
+
+  // Stored profile with its pending deltas applied
+  load(name) {
+    const stored = this.find(name);
+    if (!stored) return null;
+    return this.readDeltaLog(name).reduce((doc, delta) => this.loader.applyDeltaOrSkip(doc, delta), stored);
+  }
+
+  async appendDelta(name, delta) {
+    await this.loader.withContextLock(async () => {
+      this.loader.appendContextLine(this.deltaLogPath(name), JSON.stringify(delta));
+
+      if (this.readDeltaLog(name).length >= COMPACT_THRESHOLD) {
+        console.log(`📦 Compacting ${name} profile deltas...`);
+        await this.compact(name);
+      }
+    });
+  }
+
+  // Fold a profile's delta log into its file in one transaction
+  async compact(name) {
+    return this.loader.withContextLock(async () => {
+      if (!fs.existsSync(this.deltaLogPath(name))) return false;
+
+      const profile = { ...this.load(name), lastUpdated: new Date().toISOString() };
+      this.loader.writer.commit([
+        { type: 'write', file: this.profilePath(name), data: JSON.stringify(profile, null, 2) },
+        { type: 'unlink', file: this.deltaLogPath(name) }
+      ]);
+      console.log(`✅ ${name} profile deltas compacted`);
+      return true;
+    });
+  }
+
+  /**
+   * Global metadata with a profile layered on top: profile essentials win,
+   * other profile fields (besides its own bookkeeping) are added, and
+   * project records which profile is active.
+   */
+  layer(metadata, profile) {
+    if (!profile) return metadata;
+
+    const { name, path: projectPath, essential, createdAt, lastUpdated, ...rest } = profile;
+    return {
+      ...metadata,
+      ...rest,
+      essential: { ...(metadata?.essential || {}), ...(essential || {}) },
+      project: { name, path: projectPath }
+    };
+  }
+}
+
+ProjectProfiles.PROFILES_DIR = PROFILES_DIR;
+
+module.exports = ProjectProfiles;
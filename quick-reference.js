@@ -0,0 +1,155 @@
+/**
+ * Quick Reference
+ * Maps QUICK_REFERENCE.md sections onto preference buckets
+ *
+ * A section goes to the bucket of the first mapping whose heading pattern
+ * matches; subsections without a mapping of their own inherit their parent's
+ * bucket. Mappings from automation-config.json (quickReference.sections) are
+ * checked before the defaults, and a mapping with bucket null drops a section
+ * on purpose. Sections with content that nothing claims are reported.
+ *
+ * Every value is a string, as the schema's stringMap requires: plain list
+ * items without a value map to '', and wider tables give one
+ * "row / column" entry per cell.
+ */
+
+const { keyValue, plainText } = require('./markdown-parser');
+
+// Same sections the original parser knew about
+const DEFAULT_SECTION_MAPPING = [
+  { heading: 'tech stack', bucket: 'stack' },
+  { heading: 'automation commands', bucket: 'commands' },
+  { heading: 'project status', bucket: 'status' }
+];
+
+const SHELL_LANGUAGES = [null, 'bash', 'sh', 'shell', 'zsh', 'console'];
+
+// "Key: value" or "Key - value" in a plain list item
+const PLAIN_PAIR = /^(.+?)(?::| - )\s+(.+)$/;
+
+/**
+ * Mapping entries with their heading pattern compiled once. Entries that are
+ * not { heading, bucket } or whose heading is not a valid regular expression
+ * are skipped, each reported through warn(message).
+ */
+function compileMapping(entries, warn = () => {}) {
+  if (!Array.isArray(entries)) {
+    warn(`Ignoring quickReference.sections: expected a list of { heading, bucket }, got ${JSON.stringify(entries)}`);
+    return [];
+  }
+
+  return entries.flatMap(entry => {
+    if (typeof entry?.heading !== 'string' || !(typeof entry.bucket === 'string' || entry.bucket === null)) {
+      warn(`Ignoring quickReference mapping ${JSON.stringify(entry)} (needs heading and bucket)`);
+      return [];
+    }
+    try {
+      return [{ ...entry, pattern: new RegExp(entry.heading, 'i') }];
+    } catch (error) {
+      warn(`Ignoring quickReference mapping "${entry.heading}": ${error.message}`);
+      return [];
+    }
+  });
+}
+
+const DEFAULT_MAPPING = compileMapping(DEFAULT_SECTION_MAPPING);
+
+function mappingFor(title, mapping) {
+  return mapping.find(entry => entry.pattern.test(title));
+}
+
+function addEntry(bucket, key, value) {
+  let name = key;
+  for (let n = 2; Object.prototype.hasOwnProperty.call(bucket, name); n++) {
+    name = `${key} (${n})`;
+  }
+  bucket[name] = value;
+}
+
+function addListItems(bucket, items, parentKey = null) {
+  for (const item of items) {
+    const pair = keyValue(item.text);
+    const plain = !pair && plainText(item.text).match(PLAIN_PAIR);
+    // "- **Key**:" with only nested items below still names them
+    const label = item.text.match(/^\*\*([^*]+?)(?:\*\*:|:\*\*)\s*$/);
+
+    const key = pair ? pair.key : plain ? plain[1] : label ? plainText(label[1]) : plainText(item.text);
+    const value = pair ? pair.value : plain ? plain[2] : '';
+    const fullKey = parentKey ? `${parentKey} / ${key}` : key;
+
+    if (!label) addEntry(bucket, fullKey, value);
+    item.children.forEach(list => addListItems(bucket, list.items, fullKey));
+  }
+}
+
+function addTable(bucket, table) {
+  for (const row of table.rows.filter(row => row[0])) {
+    const key = plainText(row[0]);
+    if (table.header.length <= 2) {
+      addEntry(bucket, key, row[1] ?? '');
+    } else {
+      // Wider tables keep every column, named by the header
+      table.header.slice(1).forEach((column, i) => addEntry(bucket, `${key} / ${plainText(column)}`, row[i + 1] ?? ''));
+    }
+  }
+}
+
+// Each command line in a shell block, named by the comment above it
+function addCommands(bucket, code) {
+  let comment = null;
+
+  for (const line of code.text.split('\n').map(l => l.trim())) {
+    if (!line) {
+      comment = null;
+    } else if (line.startsWith('#')) {
+      comment = line.replace(/^#+\s*/, '');
+    } else {
+      addEntry(bucket, comment || line, line);
+    }
+  }
+}
+
+/**
+ * Collect preferences from a parsed QUICK_REFERENCE.md using a mapping from
+ * compileMapping. Returns { preferences, unmapped } where unmapped lists
+ * section titles that had content but matched no mapping.
+ */
+function mapQuickReference(doc, mapping = DEFAULT_MAPPING) {
+  const preferences = { stack: {}, commands: {}, status: {} };
+  const unmapped = [];
+
+  const visit = (section, inherited) => {
+    const entry = section === doc.root ? null : mappingFor(section.plainTitle, mapping);
+    const name = entry ? entry.bucket : inherited;
+    const hasContent = section.blocks.some(block => block.type !== 'thematicBreak');
+
+    if (hasContent && name === undefined) {
+      unmapped.push(section.plainTitle || '(before first heading)');
+    }
+
+    const bucket = hasContent && name ? (preferences[name] || (preferences[name] = {})) : null;
+    for (const block of bucket ? section.blocks : []) {
+      if (block.type === 'list') {
+        addListItems(bucket, block.items);
+      } else if (block.type === 'table') {
+        addTable(bucket, block);
+      } else if (block.type === 'code' && SHELL_LANGUAGES.includes(block.lang)) {
+        addCommands(bucket, block);
+      } else if (block.type === 'paragraph') {
+        block.lines.map(({ text }) => keyValue(text)).filter(Boolean).forEach(pair => addEntry(bucket, pair.key, pair.value));
+      }
+    }
+
+    section.children.forEach(child => visit(child, name));
+  };
+
+  visit(doc.root, undefined);
+  return { preferences, unmapped };
+}
+
+module.exports = {
+  DEFAULT_SECTION_MAPPING,
+  DEFAULT_MAPPING,
+  compileMapping,
+  mapQuickReference
+};
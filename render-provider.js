@@ -0,0 +1,119 @@
+/**
+ * Render Provider
+ * Service status, logs, deploys and rollbacks through the Render REST API
+ */
+
+const { DeploymentProvider } = require('./deployment-providers');
+
+class RenderProvider extends DeploymentProvider {
+  // /v1/services answers [{ cursor, service }]; older responses were bare services
+  async listServices() {
+    const items = await this.request('/v1/services', { headers: { 'Accept': 'application/json' } });
+    return items.map(item => item.service || item);
+  }
+
+  async findService(projectName) {
+    const services = await this.listServices();
+    return services.find(s => s.name === projectName) || null;
+  }
+
+  async discover() {
+    if (!this.token) return this.noCredentials();
+
+    try {
+      const services = await this.listServices();
+      return {
+        status: 'success',
+        projects: services.map(service => ({ name: service.name, id: service.id }))
+      };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  async status(project, projectName) {
+    if (!this.token) return this.noCredentials();
+
+    try {
+      const service = await this.findService(projectName);
+
+      if (!service) {
+        return { status: 'service_not_found', message: `Service ${projectName} not found` };
+      }
+
+      return {
+        status: service.status === 'live' ? 'success' : 'failed',
+        service: {
+          id: service.id,
+          name: service.name,
+          status: service.status,
+          url: service.serviceDetails?.url
+        }
+      };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  async logs(project, projectName, deployId) {
+    if (!this.token) return this.noCredentials();
+
+    try {
+      const service = await this.findService(projectName);
+      if (!service) {
+        return { status: 'service_not_found', message: `Service ${projectName} not found` };
+      }
+
+      const params = new URLSearchParams({ ownerId: service.ownerId, resource: service.id });
+      const data = await this.request(`/v1/logs?${params}`);
+      const lines = (data.logs || [])
+        .filter(log => !deployId || log.labels?.some(label => label.name === 'deploy' && label.value === deployId))
+        .map(log => `${log.timestamp} ${log.message}`);
+      return { status: 'success', logs: lines.join('\n') };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  async redeploy(project, projectName) {
+    if (!this.token) return this.noCredentials();
+
+    try {
+      const service = await this.findService(projectName);
+      if (!service) {
+        return { status: 'service_not_found', message: `Service ${projectName} not found` };
+      }
+
+      const deploy = await this.request(`/v1/services/${service.id}/deploys`, { method: 'POST', body: {} });
+      return { status: 'success', deployment: { id: deploy.id, state: deploy.status } };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  async rollback(project, projectName, deployId) {
+    if (!this.token) return this.noCredentials();
+    if (!deployId) return { status: 'no_deployment_id', message: 'Deploy ID required for a Render rollback' };
+
+    try {
+      const service = await this.findService(projectName);
+      if (!service) {
+        return { status: 'service_not_found', message: `Service ${projectName} not found` };
+      }
+
+      const deploy = await this.request(`/v1/services/${service.id}/rollback`, {
+        method: 'POST',
+        body: { deployId }
+      });
+      return { status: 'success', deployment: { id: deploy.id, state: deploy.status } };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+}
+
+RenderProvider.platform = 'render';
+RenderProvider.apiBase = 'https://api.render.com';
+RenderProvider.markers = ['render.yaml'];
+
+module.exports = RenderProvider;
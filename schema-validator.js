@@ -0,0 +1,157 @@
+/**
+ * Schema Validator
+ * Offline JSON Schema (draft-07) validator for context files
+ *
+ * Supports: type, enum, const, required, properties, additionalProperties,
+ * items, minItems, maxItems, minimum, maximum, minLength, maxLength, pattern,
+ * format (date-time, date), anyOf, allOf and local $ref (#/definitions/...).
+ * Remote $refs are never fetched. Every violation is reported with a JSON
+ * Pointer path.
+ */
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const FORMATS = {
+  'date-time': value => DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)),
+  date: value => DATE.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref is supported (no network fetching): ${ref}`);
+  }
+
+  return ref.slice(1).split('/').filter(Boolean).reduce((node, segment) => {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    return node[key];
+  }, root);
+}
+
+function validateSchema(schema, data, pointer = '', errors = [], root = schema) {
+  if (schema === true || schema === undefined) return errors;
+  if (schema === false) {
+    errors.push({ path: pointer || '/', message: 'is not allowed' });
+    return errors;
+  }
+
+  // draft-07: $ref overrides any sibling keywords
+  if (schema.$ref) {
+    return validateSchema(resolveRef(root, schema.$ref), data, pointer, errors, root);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(data, type))) {
+      errors.push({
+        path: pointer || '/',
+        message: `must be ${types.join(' or ')}, got ${typeOf(data)}`
+      });
+      // Nested keywords are meaningless once the type is wrong
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(data))) {
+    errors.push({
+      path: pointer || '/',
+      message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+    });
+  }
+
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(data)) {
+    errors.push({ path: pointer || '/', message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => validateSchema(sub, data, pointer, errors, root));
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(sub => validateSchema(sub, data, pointer, [], root).length === 0);
+    if (!matches) {
+      errors.push({ path: pointer || '/', message: 'does not match any allowed schema' });
+    }
+  }
+
+  if (typeof data === 'number') {
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      errors.push({ path: pointer || '/', message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      errors.push({ path: pointer || '/', message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof data === 'string') {
+    if (schema.minLength !== undefined && data.length < schema.minLength) {
+      errors.push({ path: pointer || '/', message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+      errors.push({ path: pointer || '/', message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(data)) {
+      errors.push({ path: pointer || '/', message: `must match pattern ${schema.pattern}` });
+    }
+    // Unknown formats are annotations only, as the spec allows
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](data)) {
+      errors.push({ path: pointer || '/', message: `must be a ${schema.format} string` });
+    }
+  }
+
+  if (Array.isArray(data)) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      errors.push({ path: pointer || '/', message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      errors.push({ path: pointer || '/', message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      data.forEach((item, index) => {
+        validateSchema(schema.items, item, `${pointer}/${index}`, errors, root);
+      });
+    }
+  }
+
+  if (typeOf(data) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in data)) {
+        errors.push({ path: `${pointer}/${escapePointer(key)}`, message: 'is required' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, value] of Object.entries(data)) {
+      const childPointer = `${pointer}/${escapePointer(key)}`;
+      if (key in properties) {
+        validateSchema(properties[key], value, childPointer, errors, root);
+      } else if (schema.additionalProperties !== undefined) {
+        validateSchema(schema.additionalProperties, value, childPointer, errors, root);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
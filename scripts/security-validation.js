@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { ASSIGNMENT_PATTERNS, maskSecret } = require('../secret-scrubber');
 
 console.log('🔒 Security Validation & Migration Script\n');
 
@@ -10,14 +11,8 @@ console.log('🔒 Security Validation & Migration Script\n');
 async function scanForCredentials() {
   console.log('🔍 Scanning for exposed credentials...');
   
-  const dangerousPatterns = [
-    /token\s*[:=]\s*['"`][a-zA-Z0-9_\-\.]{10,}['"`]/gi,
-    /password\s*[:=]\s*['"`][^'"`]{4,}['"`]/gi,
-    /secret\s*[:=]\s*['"`][a-zA-Z0-9_\-\.]{10,}['"`]/gi,
-    /key\s*[:=]\s*['"`][a-zA-Z0-9_\-\.]{10,}['"`]/gi,
-    /api[_-]?key\s*[:=]\s*['"`][a-zA-Z0-9_\-\.]{10,}['"`]/gi,
-    /authorization\s*[:=]\s*['"`][Bb]earer\s+[a-zA-Z0-9_\-\.]{10,}['"`]/gi
-  ];
+  // Shared with the context loader's redaction pass
+  const dangerousPatterns = ASSIGNMENT_PATTERNS;
 
   const excludedFiles = [
     'node_modules',
@@ -70,8 +65,7 @@ async function scanForCredentials() {
     suspiciousFiles.forEach(item => {
       console.log(`📁 ${item.file}:`);
       item.matches.forEach(match => {
-        const masked = match.replace(/([a-zA-Z0-9]{4})[a-zA-Z0-9_\-\.]+([a-zA-Z0-9]{4})/, '$1****$2');
-        console.log(`   - ${masked}`);
+        console.log(`   - ${maskSecret(match)}`);
       });
       console.log();
     });
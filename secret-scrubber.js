@@ -0,0 +1,195 @@
+/**
+ * Secret Scrubber
+ * Redacts tokens, keys and passwords before they are persisted to context
+ *
+ * scrubString(text)           -> { text, findings: [{ kind, preview }] }
+ * scrubValue(value)           -> { value, findings: [{ path, kind, preview }] }
+ * scrubContent(name, buffer)  -> { data, findings } for a whole context file
+ *                                (data is null when nothing needed redacting)
+ *
+ * Patterns come from scripts/security-validation.js (quoted assignments) and
+ * AuditLogger.sanitizeString / sanitizeMetadata in src/security/audit-logger.ts
+ * (label=value pairs and sensitive field names), plus token formats that
+ * are recognisable without any label.
+ */
+
+const zlib = require('zlib');
+
+const REDACTED = '[REDACTED]';
+
+// Source matching a label at the start of a word, an UPPER_SNAKE segment or a
+// camelCase hump (token, VERCEL_TOKEN, apiKey), never the tail of a word like
+// "monkey", "turnkey" or "hotkey"
+function labelSource(...words) {
+  const capitalize = word => word[0].toUpperCase() + word.slice(1);
+  const leading = words.map(word => `[${word[0]}${word[0].toUpperCase()}]${word.slice(1)}|${word.toUpperCase()}`);
+  return `(?:(?<![A-Za-z])(?:${leading.join('|')})|(?<=[a-z0-9])(?:${words.map(capitalize).join('|')}))`;
+}
+
+function assignment(words, value) {
+  return new RegExp(labelSource(...words) + value.source, 'g');
+}
+
+// Quoted credential assignments flagged by scripts/security-validation.js
+const ASSIGNMENT_PATTERNS = [
+  assignment(['token'], /\s*[:=]\s*['"`][a-zA-Z0-9_\-\.]{10,}['"`]/),
+  assignment(['password'], /\s*[:=]\s*['"`][^'"`]{4,}['"`]/),
+  assignment(['secret'], /\s*[:=]\s*['"`][a-zA-Z0-9_\-\.]{10,}['"`]/),
+  assignment(['key'], /\s*[:=]\s*['"`][a-zA-Z0-9_\-\.]{10,}['"`]/),
+  assignment(['api_key', 'api-key', 'apikey'], /\s*[:=]\s*['"`][a-zA-Z0-9_\-\.]{10,}['"`]/),
+  assignment(['authorization'], /\s*[:=]\s*['"`][Bb]earer\s+[a-zA-Z0-9_\-\.]{10,}['"`]/)
+];
+
+// Field names AuditLogger.sanitizeMetadata redacts
+const SENSITIVE_FIELDS = [
+  'token', 'password', 'secret', 'key', 'credential',
+  'authorization', 'auth', 'bearer', 'api_key', 'private'
+];
+
+// { kind, pattern, redact(match, ...groups) }; applied in order
+const SECRET_PATTERNS = [
+  ...ASSIGNMENT_PATTERNS.map(pattern => ({
+    kind: 'assignment',
+    pattern,
+    redact: match => match.replace(/(['"`]).*(['"`])$/, `$1${REDACTED}$2`)
+  })),
+  // Unquoted label=value as in AuditLogger.sanitizeString; the value needs a
+  // digit and a letter so prose like "token: refresh logic" or "key: 12345678"
+  // survives
+  {
+    kind: 'labelled',
+    pattern: new RegExp(`(${labelSource('token', 'key', 'secret')})${/([=:]\s*)(?=[^\s'"`,;]*\d)(?=[^\s'"`,;]*[A-Za-z])[a-zA-Z0-9_\-\.]{6,}/.source}`, 'g'),
+    redact: (match, label, separator) => `${label}${separator}${REDACTED}`
+  },
+  {
+    kind: 'password',
+    pattern: /(password)([=:]\s*)(?!\[REDACTED\])[^\s'"`,;]{4,}/gi,
+    redact: (match, label, separator) => `${label}${separator}${REDACTED}`
+  },
+  { kind: 'bearer', pattern: /\b(Bearer\s+)[a-zA-Z0-9_\-\.=]{10,}/g, redact: (match, prefix) => `${prefix}${REDACTED}` },
+  { kind: 'github', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g },
+  { kind: 'supabase', pattern: /\bsbp_[a-f0-9]{20,}/g },
+  { kind: 'openai', pattern: /\bsk-[A-Za-z0-9_\-]{20,}/g },
+  { kind: 'slack', pattern: /\bxox[abposr]-[A-Za-z0-9\-]{10,}/g },
+  { kind: 'aws', pattern: /\bAKIA[0-9A-Z]{16}\b/g },
+  { kind: 'jwt', pattern: /\beyJ[A-Za-z0-9_\-]{5,}\.eyJ[A-Za-z0-9_\-]{5,}\.[A-Za-z0-9_\-]{10,}/g }
+];
+
+// First and last four characters only, as scripts/security-validation.js prints matches;
+// a match too short to keep both ends is not shown at all
+function maskSecret(match) {
+  const masked = match.replace(/([a-zA-Z0-9]{4})[a-zA-Z0-9_\-\.]+([a-zA-Z0-9]{4})/, '$1****$2');
+  return masked !== match ? masked : REDACTED;
+}
+
+function scrubString(text) {
+  const findings = [];
+  let scrubbed = text;
+
+  for (const { kind, pattern, redact } of SECRET_PATTERNS) {
+    scrubbed = scrubbed.replace(pattern, (match, ...groups) => {
+      findings.push({ kind, preview: maskSecret(match) });
+      return redact ? redact(match, ...groups) : REDACTED;
+    });
+  }
+  return { text: scrubbed, findings };
+}
+
+// "apiKey", "api_key" and "API-KEY" all contain the word "key"
+function isSensitiveField(name) {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[\s_\-.]+/);
+  return SENSITIVE_FIELDS.some(field => words.includes(field) || name.toLowerCase() === field);
+}
+
+// A credential-looking value under a sensitive field name: one word with a digit,
+// so labels such as a fact's { key: "Deployment" } are left alone
+function looksLikeCredential(value) {
+  return value.length >= 8 && !/\s/.test(value) && /\d/.test(value) && !value.includes(REDACTED);
+}
+
+/**
+ * Copy of value with every string scrubbed; findings carry the JSON
+ * pointer of each redacted string. pointer is where value lives, so a
+ * string stored under a field like /userPreferences/apiKey is judged by
+ * its field name too.
+ */
+function scrubValue(value, pointer = '') {
+  if (typeof value === 'string') {
+    const field = pointer.split('/').pop().replace(/~1/g, '/').replace(/~0/g, '~');
+    if (field && !/^\d+$/.test(field) && isSensitiveField(field) && looksLikeCredential(value)) {
+      return { value: REDACTED, findings: [{ path: pointer, kind: 'field', preview: maskSecret(value) }] };
+    }
+    const { text, findings } = scrubString(value);
+    return { value: text, findings: findings.map(finding => ({ path: pointer, ...finding })) };
+  }
+  if (!value || typeof value !== 'object') return { value, findings: [] };
+
+  const findings = [];
+  const scrubEntry = (key, child) => {
+    const result = scrubValue(child, `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`);
+    findings.push(...result.findings);
+    return result.value;
+  };
+
+  const scrubbed = Array.isArray(value)
+    ? value.map((child, index) => scrubEntry(index, child))
+    : Object.fromEntries(Object.entries(value).map(([key, child]) => [key, scrubEntry(key, child)]));
+  return { value: findings.length > 0 ? scrubbed : value, findings };
+}
+
+/**
+ * Scrub one stored file by its format: JSON, JSONL (line by line, findings
+ * get a line number), gzip of either, or plain text (markdown).
+ */
+function scrubContent(name, buffer) {
+  if (name.endsWith('.gz')) {
+    const inner = scrubContent(name.slice(0, -'.gz'.length), zlib.gunzipSync(buffer));
+    return { data: inner.data && zlib.gzipSync(inner.data), findings: inner.findings };
+  }
+
+  const content = buffer.toString('utf8');
+  let scrubbed;
+  const findings = [];
+
+  if (name.endsWith('.jsonl')) {
+    scrubbed = content.split('\n').map((line, index) => {
+      if (!line.trim()) return line;
+      let result;
+      try {
+        const parsed = scrubValue(JSON.parse(line));
+        result = { text: parsed.findings.length > 0 ? JSON.stringify(parsed.value) : line, findings: parsed.findings };
+      } catch {
+        result = scrubString(line);
+      }
+      findings.push(...result.findings.map(finding => ({ line: index + 1, ...finding })));
+      return result.text;
+    }).join('\n');
+  } else if (name.endsWith('.json')) {
+    try {
+      const parsed = scrubValue(JSON.parse(content));
+      findings.push(...parsed.findings);
+      scrubbed = JSON.stringify(parsed.value, null, 2);
+    } catch {
+      const result = scrubString(content);
+      findings.push(...result.findings);
+      scrubbed = result.text;
+    }
+  } else {
+    const result = scrubString(content);
+    findings.push(...result.findings);
+    scrubbed = result.text;
+  }
+
+  return { data: findings.length > 0 ? Buffer.from(scrubbed, 'utf8') : null, findings };
+}
+
+module.exports = {
+  REDACTED,
+  ASSIGNMENT_PATTERNS,
+  SENSITIVE_FIELDS,
+  SECRET_PATTERNS,
+  maskSecret,
+  scrubString,
+  scrubValue,
+  scrubContent
+};
@@ -0,0 +1,253 @@
+/**
+ * Session History
+ * Append-only session log, one JSONL file per month under history/
+ *
+ * history/sessions-2026-10.jsonl      current month, appended to
+ * history/sessions-2026-09.jsonl.gz   earlier months, gzip-archived on rotation
+ *
+ * Metadata keeps only a pointer to the log and the last few entries; the
+ * full history is read from here for --history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const HISTORY_DIR = 'history';
+const LEGACY_FILE = 'session-history.json';
+const FILE_PATTERN = /^sessions-(\d{4}-\d{2})\.jsonl(\.gz)?$/;
+
+// Entries kept inline in metadata.sessionHistory
+const HISTORY_TAIL = 5;
+
+// "2026-10" for an ISO timestamp, in UTC like the timestamps themselves
+function monthOf(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+// ISO 8601 week, e.g. "2026-W42"
+function isoWeek(timestamp) {
+  const date = new Date(timestamp);
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // Thursday decides which year the week belongs to
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function toLines(entries) {
+  return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
+
+// Entries of one log file's contents; unparseable lines are counted, not fatal
+function parseLog(buffer, archived) {
+  const content = (archived ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+  const entries = [];
+  let skipped = 0;
+
+  for (const line of content.split('\n').filter(l => l.trim())) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      skipped++;
+    }
+  }
+  return { entries, skipped };
+}
+
+class SessionHistory {
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  get dir() {
+    return path.join(this.loader.contextPath, HISTORY_DIR);
+  }
+
+  get legacyPath() {
+    return path.join(this.loader.contextPath, LEGACY_FILE);
+  }
+
+  activePath(month) {
+    return path.join(this.dir, `sessions-${month}.jsonl`);
+  }
+
+  archivePath(month) {
+    return `${this.activePath(month)}.gz`;
+  }
+
+  // Log files sorted by month: [{ month, file, archived }]
+  files() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .map(name => ({ name, match: name.match(FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ name, match }) => ({ month: match[1], file: path.join(this.dir, name), archived: Boolean(match[2]) }))
+      .sort((a, b) => a.month.localeCompare(b.month) || Number(b.archived) - Number(a.archived));
+  }
+
+  readFile({ file, archived }) {
+    return parseLog(this.loader.readContextFile(file), archived);
+  }
+
+  /**
+   * Every logged entry in order. since (ISO date or timestamp) skips whole
+   * archived months before it without decompressing them.
+   */
+  read({ since = null } = {}) {
+    const sinceTime = since ? Date.parse(since) : null;
+    const sinceMonth = since ? monthOf(since) : null;
+    const entries = [];
+    let skipped = 0;
+
+    for (const file of this.files()) {
+      if (sinceMonth && file.month < sinceMonth) continue;
+      const result = this.readFile(file);
+      entries.push(...result.entries);
+      skipped += result.skipped;
+    }
+
+    if (skipped > 0) {
+      console.log(`⚠️  Skipped ${skipped} unreadable history line(s)`);
+    }
+    return sinceTime === null ? entries : entries.filter(entry => Date.parse(entry.timestamp) >= sinceTime);
+  }
+
+  search(text) {
+    const needle = text.toLowerCase();
+    return this.read().filter(entry => JSON.stringify(entry).toLowerCase().includes(needle));
+  }
+
+  // { total, byType: { type: n }, perWeek: [{ week, sessions }] }
+  stats() {
+    const entries = this.read();
+    const byType = {};
+    const perWeek = {};
+
+    for (const entry of entries) {
+      const type = entry.sessionType || 'unknown';
+      byType[type] = (byType[type] || 0) + 1;
+      if (!Number.isNaN(Date.parse(entry.timestamp))) {
+        const week = isoWeek(entry.timestamp);
+        perWeek[week] = (perWeek[week] || 0) + 1;
+      }
+    }
+
+    return {
+      total: entries.length,
+      byType,
+      perWeek: Object.keys(perWeek).sort().map(week => ({ week, sessions: perWeek[week] }))
+    };
+  }
+
+  /**
+   * Append an entry, archiving finished months and importing the legacy
+   * session-history.json first. Returns the number of entries written.
+   * Call with the context lock held.
+   */
+  append(entry) {
+    const imported = this.importLegacy();
+    this.rotate(monthOf(entry.timestamp));
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.loader.appendContextLine(this.activePath(monthOf(entry.timestamp)), JSON.stringify(entry));
+    return imported + 1;
+  }
+
+  // Gzip every active file from a month before currentMonth, merging into an existing archive
+  rotate(currentMonth) {
+    const finished = this.files().filter(file => !file.archived && file.month < currentMonth);
+    if (finished.length === 0) return [];
+
+    const ops = [];
+    for (const file of finished) {
+      const archivePath = this.archivePath(file.month);
+      const archived = fs.existsSync(archivePath) ? this.readFile({ file: archivePath, archived: true }).entries : [];
+      const entries = [...archived, ...this.readFile(file).entries];
+
+      ops.push(
+        { type: 'write', file: archivePath, data: zlib.gzipSync(Buffer.from(toLines(entries), 'utf8')) },
+        { type: 'unlink', file: file.file }
+      );
+    }
+
+    this.loader.writer.commit(ops);
+    const months = finished.map(file => file.month);
+    console.log(`🗜️  Archived session history for ${months.join(', ')}`);
+    return months;
+  }
+
+  /**
+   * Transaction ops adding the entries from another log (e.g. an imported
+   * bundle) that this one lacks, keeping each month sorted by timestamp and
+   * finished months archived. Returns { ops, added }.
+   */
+  mergeOps(entries) {
+    const known = new Set(this.read().map(entry => JSON.stringify(entry)));
+    const missing = entries.filter(entry => !known.has(JSON.stringify(entry)) && !Number.isNaN(Date.parse(entry.timestamp)));
+    if (missing.length === 0) return { ops: [], added: 0 };
+
+    const byMonth = {};
+    missing.forEach(entry => (byMonth[monthOf(entry.timestamp)] ||= []).push(entry));
+    const newest = this.files().map(file => file.month).concat(Object.keys(byMonth)).sort().pop();
+
+    const ops = [];
+    for (const [month, monthEntries] of Object.entries(byMonth)) {
+      const existing = this.files().filter(file => file.month === month);
+      const merged = [...existing.flatMap(file => this.readFile(file).entries), ...monthEntries]
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+      const data = Buffer.from(toLines(merged), 'utf8');
+
+      // Only the newest month stays appendable
+      if (month === newest) {
+        ops.push({ type: 'write', file: this.activePath(month), data });
+        if (existing.some(file => file.archived)) ops.push({ type: 'unlink', file: this.archivePath(month) });
+      } else {
+        ops.push({ type: 'write', file: this.archivePath(month), data: zlib.gzipSync(data) });
+        if (existing.some(file => !file.archived)) ops.push({ type: 'unlink', file: this.activePath(month) });
+      }
+    }
+
+    return { ops, added: missing.length };
+  }
+
+  // Move entries from the old last-10 session-history.json into the log
+  importLegacy() {
+    if (!fs.existsSync(this.legacyPath)) return 0;
+
+    let legacy;
+    try {
+      legacy = JSON.parse(this.loader.readContextFile(this.legacyPath, 'utf8'));
+    } catch {
+      console.log(`⚠️  Could not read ${LEGACY_FILE}; leaving it in place`);
+      return 0;
+    }
+    const entries = (Array.isArray(legacy) ? legacy : [])
+      .filter(entry => entry && !Number.isNaN(Date.parse(entry.timestamp)));
+
+    const byMonth = {};
+    entries.forEach(entry => (byMonth[monthOf(entry.timestamp)] ||= []).push(entry));
+
+    const ops = Object.entries(byMonth).map(([month, monthEntries]) => {
+      const activePath = this.activePath(month);
+      const existing = fs.existsSync(activePath) ? this.loader.readContextFile(activePath, 'utf8') : '';
+      return { type: 'write', file: activePath, data: existing + toLines(monthEntries) };
+    });
+    ops.push({ type: 'unlink', file: this.legacyPath });
+
+    this.loader.writer.commit(ops);
+    console.log(`📥 Imported ${entries.length} entries from ${LEGACY_FILE} into ${HISTORY_DIR}/`);
+    return entries.length;
+  }
+}
+
+SessionHistory.HISTORY_DIR = HISTORY_DIR;
+SessionHistory.HISTORY_TAIL = HISTORY_TAIL;
+SessionHistory.LEGACY_FILE = LEGACY_FILE;
+SessionHistory.FILE_PATTERN = FILE_PATTERN;
+SessionHistory.isoWeek = isoWeek;
+SessionHistory.parseLog = parseLog;
+
+module.exports = SessionHistory;
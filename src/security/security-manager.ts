@@ -9,6 +9,8 @@ export interface SecureCredentials {
   [key: string]: string | undefined;
 }
 
+export type ContextKeySlot = 'current' | 'next';
+
 export class SecurityManager {
   private readonly serviceName = 'secure-cli-automation';
   private encryptionKey: Buffer;
@@ -122,6 +124,32 @@ export class SecurityManager {
     }
   }
 
+  // Key for the encrypted-at-rest OpenCode context store (opencode-loader.js --encrypt).
+  // The 'next' slot holds the key --rekey is moving to until every file is rewritten.
+  async getContextKey(slot: ContextKeySlot = 'current'): Promise<Buffer | null> {
+    const encoded = await this.getCredential(this.contextKeyAccount(slot));
+    return encoded ? Buffer.from(encoded, 'base64') : null;
+  }
+
+  async storeContextKey(key: Buffer, slot: ContextKeySlot = 'current'): Promise<boolean> {
+    if (key.length !== 32) {
+      throw new Error('Context key must be 32 bytes');
+    }
+    return this.storeCredential(this.contextKeyAccount(slot), key.toString('base64'));
+  }
+
+  async deleteContextKey(slot: ContextKeySlot = 'current'): Promise<boolean> {
+    return this.deleteCredential(this.contextKeyAccount(slot));
+  }
+
+  generateContextKey(): Buffer {
+    return crypto.randomBytes(32);
+  }
+
+  private contextKeyAccount(slot: ContextKeySlot): string {
+    return slot === 'current' ? 'opencode-context-key' : `opencode-context-key.${slot}`;
+  }
+
   private encrypt(text: string): string {
     const iv = crypto.randomBytes(16);
     const cipher = crypto.createCipheriv('aes-256-cbc', this.encryptionKey, iv);
@@ -9,10 +9,16 @@ const path = require('path');
 const fs = require('fs');
 
 async function openCodeStartup() {
-  const configDir = path.join(process.env.HOME, '.config', 'opencode');
-  
-  console.log('🚀 OpenCode Auto-Startup');
-  console.log('==========================\n');
+  // The loader is installed next to this script, wherever it is run from
+  const configDir = __dirname;
+  const args = process.argv.slice(2);
+  // --json / --format=ndjson keep stdout machine-readable
+  const machineReadable = args.includes('--json') || args.some(arg => arg.startsWith('--format=') && arg !== '--format=text');
+
+  if (!machineReadable) {
+    console.log('🚀 OpenCode Auto-Startup');
+    console.log('==========================\n');
+  }
 
   try {
     // Check if loader exists
@@ -21,11 +27,20 @@ async function openCodeStartup() {
     if (fs.existsSync(loaderPath)) {
       // Load and run the auto-loader
       const OpenCodeAutoLoader = require(loaderPath);
-      const loader = new OpenCodeAutoLoader();
-      
-      // Initialize with full context
-      const context = await loader.initialize();
-      
+      const { extractContextDirFlag } = require(path.join(configDir, 'context-root'));
+      // --context-dir and the project's .opencode/ are resolved from the working directory
+      const loader = new OpenCodeAutoLoader({ contextDir: extractContextDirFlag(args).contextDir, cwd: process.cwd() });
+      const format = loader.outputFormat(args) || 'text';
+
+      // Initialize with full context (--strict refuses to start on invalid context);
+      // the working directory picks the project profile layered on top
+      let context = null;
+      const outcome = await loader.runWithOutput('initialize', format, async () => {
+        context = await loader.initialize(false, { strict: args.includes('--strict') });
+        return { result: context, ok: true };
+      });
+      process.exitCode = outcome.exitCode;
+
       // Return context for current session
       return context;
     } else {
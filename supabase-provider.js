@@ -0,0 +1,148 @@
+/**
+ * Supabase Provider
+ * Project health, pending migrations and edge function state through the
+ * Supabase Management API
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DeploymentProvider } = require('./deployment-providers');
+
+// Env files that may carry the project URL, in the order they are searched
+const ENV_FILES = ['.env.local', '.env', '.env.production'];
+
+class SupabaseProvider extends DeploymentProvider {
+  async discover() {
+    if (!this.token) return this.noCredentials();
+
+    try {
+      const projects = await this.request('/v1/projects');
+      return {
+        status: 'success',
+        projects: projects.map(project => ({ name: project.name, id: project.id }))
+      };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  /**
+   * success when the project is ACTIVE_HEALTHY with every local migration
+   * applied and every local function deployed, pending when it is healthy
+   * but something still has to be pushed, failed otherwise
+   */
+  async status(project) {
+    if (!this.token) return this.noCredentials();
+
+    const ref = this.resolveProjectRef(project);
+    if (!ref) {
+      return { status: 'no_project_ref', message: 'Supabase project ref not found in supabase/config.toml or .env files' };
+    }
+
+    try {
+      const remote = await this.request(`/v1/projects/${ref}`);
+      const migrations = this.compareMigrations(project, await this.request(`/v1/projects/${ref}/database/migrations`));
+      const functions = this.compareFunctions(project, await this.request(`/v1/projects/${ref}/functions`));
+
+      const healthy = remote.status === 'ACTIVE_HEALTHY';
+      const pending = migrations.pending.length > 0 || functions.some(fn => !fn.deployed);
+
+      return {
+        status: !healthy ? 'failed' : pending ? 'pending' : 'success',
+        project: { ref, name: remote.name, status: remote.status, region: remote.region },
+        migrations,
+        functions
+      };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  /**
+   * Project ref from, in order: supabase/.temp/project-ref (written by
+   * `supabase link`), project_id in supabase/config.toml when it is a real
+   * ref rather than a local name, then SUPABASE_PROJECT_REF or the
+   * https://<ref>.supabase.co URL in an env file
+   */
+  resolveProjectRef(project) {
+    const isRef = value => /^[a-z0-9]{20}$/.test(value || '');
+
+    const linked = this.readFile(project, 'supabase/.temp/project-ref')?.trim();
+    if (isRef(linked)) return linked;
+
+    const config = this.readFile(project, 'supabase/config.toml');
+    const configured = config?.match(/^\s*project_id\s*=\s*["']([^"']+)["']/m)?.[1];
+    if (isRef(configured)) return configured;
+
+    for (const envFile of ENV_FILES) {
+      const env = SupabaseProvider.parseEnv(this.readFile(project, envFile) || '');
+      for (const [name, value] of Object.entries(env)) {
+        if (/SUPABASE_PROJECT_(REF|ID)$/.test(name) && isRef(value)) return value;
+        const fromUrl = /SUPABASE_URL$/.test(name) && value.match(/^https:\/\/([a-z0-9]{20})\.supabase\.co/)?.[1];
+        if (fromUrl) return fromUrl;
+      }
+    }
+    return null;
+  }
+
+  readFile(project, relativePath) {
+    const filePath = path.join(project.path, relativePath);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  // supabase/migrations/<version>_<name>.sql against the versions applied remotely
+  compareMigrations(project, remoteMigrations) {
+    const migrationsDir = path.join(project.path, 'supabase', 'migrations');
+    const local = fs.existsSync(migrationsDir)
+      ? fs.readdirSync(migrationsDir).filter(file => /^\d+_.*\.sql$/.test(file)).sort()
+      : [];
+    const applied = new Set(remoteMigrations.map(migration => migration.version));
+    const localVersions = new Set(local.map(file => file.split('_')[0]));
+
+    return {
+      local: local.length,
+      remote: applied.size,
+      pending: local.filter(file => !applied.has(file.split('_')[0])),
+      // Applied remotely but missing here, e.g. pushed from another checkout
+      remoteOnly: [...applied].filter(version => !localVersions.has(version))
+    };
+  }
+
+  // Every function in supabase/functions/ or deployed, with its deploy state
+  compareFunctions(project, remoteFunctions) {
+    const functionsDir = path.join(project.path, 'supabase', 'functions');
+    const local = fs.existsSync(functionsDir)
+      ? fs.readdirSync(functionsDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() && !/^[._]/.test(dirent.name))
+        .map(dirent => dirent.name)
+      : [];
+    const remote = new Map(remoteFunctions.map(fn => [fn.slug, fn]));
+
+    return [...new Set([...local, ...remote.keys()])].sort().map(slug => {
+      const fn = remote.get(slug);
+      return {
+        slug,
+        deployed: fn?.status === 'ACTIVE',
+        status: fn ? fn.status : 'NOT_DEPLOYED',
+        version: fn?.version ?? null,
+        updatedAt: fn?.updated_at ?? null
+      };
+    });
+  }
+
+  // KEY=value lines; quotes around the value and `export ` are dropped
+  static parseEnv(content) {
+    const env = {};
+    for (const line of content.split('\n')) {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+      if (match) env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+    return env;
+  }
+}
+
+SupabaseProvider.platform = 'supabase';
+SupabaseProvider.apiBase = 'https://api.supabase.com';
+SupabaseProvider.markers = ['supabase/config.toml'];
+
+module.exports = SupabaseProvider;
@@ -0,0 +1,134 @@
+/**
+ * Tar Archive
+ * Minimal ustar writer/reader for context bundles (regular files only)
+ *
+ * pack([{ name, data, mtime? }]) -> Buffer
+ * unpack(buffer) -> [{ name, data, mtime }]
+ *
+ * Compression is left to the caller (zlib.gzipSync for .tar.gz).
+ */
+
+const BLOCK_SIZE = 512;
+
+// Field offsets and lengths of the ustar header
+const FIELDS = {
+  name: [0, 100],
+  mode: [100, 8],
+  uid: [108, 8],
+  gid: [116, 8],
+  size: [124, 12],
+  mtime: [136, 12],
+  checksum: [148, 8],
+  type: [156, 1],
+  magic: [257, 6],
+  version: [263, 2],
+  prefix: [345, 155]
+};
+
+function writeField(header, field, value) {
+  const [offset, length] = FIELDS[field];
+  header.write(value, offset, length, 'utf8');
+}
+
+function writeOctal(header, field, value) {
+  const [, length] = FIELDS[field];
+  writeField(header, field, value.toString(8).padStart(length - 1, '0') + '\0');
+}
+
+function readField(header, field) {
+  const [offset, length] = FIELDS[field];
+  const raw = header.subarray(offset, offset + length);
+  const end = raw.indexOf(0);
+  return raw.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(header, field) {
+  return parseInt(readField(header, field).trim() || '0', 8);
+}
+
+// Header bytes summed with the checksum field counted as spaces
+function checksumOf(header) {
+  const [offset, length] = FIELDS.checksum;
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= offset && i < offset + length ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+// Names over 100 bytes go in prefix + name, split at a "/"
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+  }
+  throw new Error(`Path too long for a tar archive: ${name}`);
+}
+
+function pack(entries) {
+  const blocks = [];
+
+  for (const entry of entries) {
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const { prefix, name } = splitName(entry.name);
+    const header = Buffer.alloc(BLOCK_SIZE);
+
+    writeField(header, 'name', name);
+    writeOctal(header, 'mode', 0o644);
+    writeOctal(header, 'uid', 0);
+    writeOctal(header, 'gid', 0);
+    writeOctal(header, 'size', data.length);
+    writeOctal(header, 'mtime', Math.floor((entry.mtime ?? Date.now()) / 1000));
+    writeField(header, 'type', '0');
+    writeField(header, 'magic', 'ustar\0');
+    writeField(header, 'version', '00');
+    writeField(header, 'prefix', prefix);
+    writeField(header, 'checksum', checksumOf(header).toString(8).padStart(6, '0') + '\0 ');
+
+    blocks.push(header, data, Buffer.alloc((BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE));
+  }
+
+  // Two zero blocks end the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+function unpack(buffer) {
+  const entries = [];
+  let offset = 0;
+  let longName = null; // GNU tar's "L" entry holds the next entry's full name
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    if (readOctal(header, 'checksum') !== checksumOf(header)) {
+      throw new Error(`Corrupt tar header at byte ${offset}`);
+    }
+
+    const size = readOctal(header, 'size');
+    const type = readField(header, 'type');
+    const prefix = readField(header, 'prefix');
+    const name = longName ?? (prefix ? `${prefix}/${readField(header, 'name')}` : readField(header, 'name'));
+    const start = offset + BLOCK_SIZE;
+    if (start + size > buffer.length) {
+      throw new Error(`Truncated tar archive: ${name}`);
+    }
+
+    const data = buffer.subarray(start, start + size);
+    longName = type === 'L' ? data.toString('utf8').replace(/\0+$/, '') : null;
+
+    // Directories, links and other extended headers carry nothing a bundle needs
+    if (type === '0' || type === '') {
+      entries.push({ name, data: Buffer.from(data), mtime: readOctal(header, 'mtime') * 1000 });
+    }
+    offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
+
+module.exports = { pack, unpack };
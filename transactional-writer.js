@@ -0,0 +1,204 @@
+/**
+ * Transactional Writer
+ * Crash-safe file writes for the OpenCode context store
+ *
+ * Single files are written to a temp file, fsynced and renamed over the
+ * target. Multi-file changes (metadata + gzip + delta log) are staged as temp
+ * files, recorded in a write-ahead journal and only then applied, so a crash
+ * at any point either rolls forward from the journal or leaves the previous
+ * files untouched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOURNAL_FILE = 'context-journal.json';
+const TEMP_SUFFIX = '.tmp';
+
+class TransactionalWriter {
+  constructor(rootDir, options = {}) {
+    this.rootDir = rootDir;
+    this.journalPath = path.join(rootDir, JOURNAL_FILE);
+    // Subdirectories (relative to rootDir) swept for stray temp files on recovery
+    this.managedDirs = options.managedDirs || [];
+    // (filePath, data) => data as stored on disk, e.g. encrypted (see context-crypto.js)
+    this.encode = options.encode || ((filePath, data) => data);
+  }
+
+  resolve(file) {
+    return path.isAbsolute(file) ? file : path.join(this.rootDir, file);
+  }
+
+  // Write data to disk and fsync it before returning
+  writeDurable(filePath, data) {
+    const fd = fs.openSync(filePath, 'w');
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Persist renames/unlinks in the directory entry itself
+  syncDir(dirPath) {
+    let fd;
+    try {
+      fd = fs.openSync(dirPath, 'r');
+      fs.fsyncSync(fd);
+    } catch {
+      // Directory fsync is not supported on every platform
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+
+  tempPathFor(filePath, txId) {
+    return `${filePath}.${txId}${TEMP_SUFFIX}`;
+  }
+
+  writeFileAtomic(file, data) {
+    const filePath = this.resolve(file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = this.tempPathFor(filePath, crypto.randomBytes(6).toString('hex'));
+    try {
+      this.writeDurable(tempPath, this.encode(filePath, data));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      throw error;
+    }
+    this.syncDir(path.dirname(filePath));
+  }
+
+  writeJsonAtomic(file, value) {
+    this.writeFileAtomic(file, JSON.stringify(value, null, 2));
+  }
+
+  /**
+   * Apply a set of writes and unlinks as one unit.
+   * ops: [{ type: 'write', file, data } | { type: 'unlink', file } | { type: 'rmdir', file }]
+   * rmdir only removes a directory left empty by the ops before it
+   */
+  commit(ops) {
+    const txId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const staged = [];
+
+    // Phase 1: stage every write as a durable temp file
+    try {
+      for (const op of ops) {
+        const filePath = this.resolve(op.file);
+        if (op.type === 'write') {
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          const tempPath = this.tempPathFor(filePath, txId);
+          this.writeDurable(tempPath, this.encode(filePath, op.data));
+          staged.push({ type: 'write', file: filePath, temp: tempPath });
+        } else if (op.type === 'unlink' || op.type === 'rmdir') {
+          staged.push({ type: op.type, file: filePath });
+        } else {
+          throw new Error(`Unknown transaction op: ${op.type}`);
+        }
+      }
+    } catch (error) {
+      this.discardStaged(staged);
+      throw error;
+    }
+
+    // Phase 2: the journal is the commit point
+    this.writeFileAtomic(this.journalPath, JSON.stringify({
+      id: txId,
+      state: 'prepared',
+      createdAt: new Date().toISOString(),
+      ops: staged
+    }, null, 2));
+
+    // Phase 3: apply, then drop the journal
+    this.applyOps(staged);
+    fs.unlinkSync(this.journalPath);
+    this.syncDir(this.rootDir);
+
+    return txId;
+  }
+
+  applyOps(ops) {
+    const dirs = new Set();
+
+    for (const op of ops) {
+      if (op.type === 'write') {
+        // On roll-forward the rename may already have happened
+        if (fs.existsSync(op.temp)) {
+          fs.renameSync(op.temp, op.file);
+        }
+      } else if (op.type === 'unlink') {
+        if (fs.existsSync(op.file)) {
+          fs.unlinkSync(op.file);
+        }
+      } else if (op.type === 'rmdir') {
+        if (fs.existsSync(op.file) && fs.readdirSync(op.file).length === 0) {
+          fs.rmdirSync(op.file);
+        }
+      }
+      dirs.add(path.dirname(op.file));
+    }
+
+    dirs.forEach(dir => this.syncDir(dir));
+  }
+
+  discardStaged(staged) {
+    for (const op of staged) {
+      if (op.temp && fs.existsSync(op.temp)) {
+        fs.unlinkSync(op.temp);
+      }
+    }
+  }
+
+  /**
+   * Finish or roll back a transaction interrupted by a crash.
+   * A readable journal means every temp file was durable: roll forward.
+   * Temp files without a journal never reached the commit point: roll back.
+   */
+  recover() {
+    const result = { rolledForward: null, rolledBack: 0 };
+
+    if (fs.existsSync(this.journalPath)) {
+      let journal = null;
+      try {
+        journal = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'));
+      } catch {
+        // A torn journal never replaced the previous one, so there is nothing to apply
+      }
+
+      if (journal && journal.state === 'prepared' && Array.isArray(journal.ops)) {
+        this.applyOps(journal.ops);
+        result.rolledForward = journal.id;
+      }
+      fs.unlinkSync(this.journalPath);
+    }
+
+    for (const dir of [this.rootDir, ...this.managedDirs.map(d => this.resolve(d))]) {
+      result.rolledBack += this.removeStrayTempFiles(dir);
+    }
+    this.syncDir(this.rootDir);
+    return result;
+  }
+
+  removeStrayTempFiles(dir) {
+    let removed = 0;
+    if (!fs.existsSync(dir)) return removed;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isFile() && /\.[0-9a-f-]+\.tmp$/.test(entry.name)) {
+        fs.unlinkSync(path.join(dir, entry.name));
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+TransactionalWriter.JOURNAL_FILE = JOURNAL_FILE;
+
+module.exports = TransactionalWriter;
@@ -0,0 +1,229 @@
+/**
+ * Vercel Provider
+ * Deployment status, logs, redeploys and rollbacks through the Vercel REST API
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DeploymentProvider } = require('./deployment-providers');
+
+class VercelProvider extends DeploymentProvider {
+  async discover() {
+    if (!this.token) return this.noCredentials();
+
+    try {
+      const data = await this.request(this.scoped('/v9/projects', this.manager.credentials.vercel_team_id));
+      return {
+        status: 'success',
+        projects: (data.projects || []).map(project => ({ name: project.name, id: project.id }))
+      };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  // Latest deployment to target ('production' unless asked for 'preview'; null for either)
+  async status(project, projectName, { target = 'production' } = {}) {
+    if (!this.token) return this.noCredentials();
+
+    const ids = await this.resolveProject(project, projectName);
+    if (!ids) {
+      return { status: 'no_project_id', message: 'Vercel project ID not found' };
+    }
+
+    try {
+      const [latestDeployment] = await this.listDeployments(ids, { target, limit: 1 });
+
+      if (!latestDeployment) {
+        return { status: 'no_deployments', message: 'No deployments found' };
+      }
+
+      return {
+        status: latestDeployment.state === 'READY' ? 'success' : 'failed',
+        deployment: {
+          id: latestDeployment.uid || latestDeployment.id,
+          url: latestDeployment.url,
+          state: latestDeployment.state,
+          createdAt: latestDeployment.created,
+          readyState: latestDeployment.readyState
+        }
+      };
+    } catch (error) {
+      // A cached ID for a project that was deleted or moved; look it up again next time
+      if (error.status === 404 && this.manager.getCachedId('vercel', projectName)) {
+        this.manager.setCachedId('vercel', projectName, null);
+      }
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  /**
+   * Deployments newest first, following pagination.next until `limit` of
+   * them match. target, state and since (ms timestamp) are filtered by the
+   * API; branch is matched here against the git metadata.
+   */
+  async history(project, projectName, filters = {}) {
+    if (!this.token) return this.noCredentials();
+
+    const ids = await this.resolveProject(project, projectName);
+    if (!ids) {
+      return { status: 'no_project_id', message: 'Vercel project ID not found' };
+    }
+
+    try {
+      const deployments = await this.listDeployments(ids, filters);
+      return { status: 'success', deployments: deployments.map(VercelProvider.summarize) };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  async listDeployments(ids, { target = null, branch = null, state = null, since = null, limit = 20 } = {}) {
+    const deployments = [];
+    let until = null;
+
+    for (let page = 0; page < VercelProvider.MAX_PAGES && deployments.length < limit; page++) {
+      // Without a branch filter every deployment counts, so ask for no more than needed
+      const pageSize = branch ? VercelProvider.PAGE_SIZE : Math.min(limit - deployments.length, VercelProvider.PAGE_SIZE);
+      const params = new URLSearchParams({ projectId: ids.projectId, limit: String(pageSize) });
+      if (target) params.set('target', target);
+      if (state) params.set('state', state.toUpperCase());
+      if (since) params.set('since', String(since));
+      if (until) params.set('until', String(until));
+
+      const data = await this.request(this.scoped(`/v6/deployments?${params}`, ids.teamId));
+      deployments.push(...data.deployments.filter(deployment => !branch || deployment.meta?.githubCommitRef === branch));
+
+      until = data.pagination?.next;
+      if (!until) break;
+    }
+    return deployments.slice(0, limit);
+  }
+
+  async logs(project, projectName, deploymentId) {
+    if (!this.token) return this.noCredentials();
+
+    try {
+      const ids = await this.resolveProject(project, projectName);
+      const logs = await this.request(this.scoped(`/v2/deployments/${deploymentId}/logs`, ids?.teamId), { text: true });
+      return { status: 'success', logs };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  // A new deployment built from the given (or latest) deployment's source
+  async redeploy(project, projectName, deploymentId = null) {
+    if (!this.token) return this.noCredentials();
+
+    try {
+      const source = deploymentId || (await this.status(project, projectName)).deployment?.id;
+      if (!source) return { status: 'no_deployments', message: 'No deployment to redeploy' };
+
+      const ids = await this.resolveProject(project, projectName);
+      const deployment = await this.request(this.scoped('/v13/deployments', ids?.teamId), {
+        method: 'POST',
+        body: { name: projectName, deploymentId: source, target: 'production' }
+      });
+      return { status: 'success', deployment: { id: deployment.id, url: deployment.url, state: deployment.readyState } };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  // Instant rollback: production points at an earlier deployment again
+  async rollback(project, projectName, deploymentId) {
+    if (!this.token) return this.noCredentials();
+    if (!deploymentId) return { status: 'no_deployment_id', message: 'Deployment ID required for a Vercel rollback' };
+
+    const ids = await this.resolveProject(project, projectName);
+    if (!ids) {
+      return { status: 'no_project_id', message: 'Vercel project ID not found' };
+    }
+
+    try {
+      await this.request(this.scoped(`/v9/projects/${ids.projectId}/rollback/${deploymentId}`, ids.teamId), { method: 'POST' });
+      return { status: 'success', deployment: { id: deploymentId } };
+    } catch (error) {
+      return { status: 'api_error', error: error.message };
+    }
+  }
+
+  // Endpoint with ?teamId= for projects owned by a team rather than the token's user
+  scoped(endpoint, teamId) {
+    if (!teamId) return endpoint;
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}teamId=${encodeURIComponent(teamId)}`;
+  }
+
+  /**
+   * { projectId, teamId } of a project: the .vercel/project.json the Vercel
+   * CLI writes when a directory is linked, else the manager's cache of
+   * earlier lookups, else the projects API (scoped to vercel_team_id from
+   * credentials.json when set). null when none of them know the project.
+   */
+  async resolveProject(project, projectName) {
+    const linked = this.readProjectLink(project);
+    if (linked) return linked;
+
+    const cached = this.manager.getCachedId('vercel', projectName);
+    if (cached) return cached;
+
+    const resolved = await this.lookupProject(projectName);
+    if (resolved) this.manager.setCachedId('vercel', projectName, resolved);
+    return resolved;
+  }
+
+  readProjectLink(project) {
+    const linkPath = path.join(project.path, '.vercel', 'project.json');
+    if (!fs.existsSync(linkPath)) return null;
+
+    try {
+      const { projectId, orgId } = JSON.parse(fs.readFileSync(linkPath, 'utf8'));
+      if (!projectId) return null;
+      // orgId is the team for team-owned projects and the user otherwise
+      return { projectId, teamId: orgId?.startsWith('team_') ? orgId : null };
+    } catch (error) {
+      console.log(`⚠️  Ignoring ${linkPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async lookupProject(projectName) {
+    if (!this.token) return null;
+
+    const teamId = this.manager.credentials.vercel_team_id || null;
+    try {
+      const data = await this.request(this.scoped(`/v9/projects/${encodeURIComponent(projectName)}`, teamId));
+      return data.id ? { projectId: data.id, teamId } : null;
+    } catch (error) {
+      if (error.status !== 404) {
+        console.error(`Error fetching Vercel project ID for ${projectName}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  // One row of `history`: git metadata and build time of a /v6/deployments entry
+  static summarize(deployment) {
+    const meta = deployment.meta || {};
+    return {
+      id: deployment.uid || deployment.id,
+      url: deployment.url,
+      state: deployment.state || deployment.readyState,
+      target: deployment.target || 'preview',
+      branch: meta.githubCommitRef || null,
+      sha: meta.githubCommitSha || null,
+      author: meta.githubCommitAuthorLogin || meta.githubCommitAuthorName || deployment.creator?.username || null,
+      createdAt: deployment.created,
+      duration: deployment.ready && deployment.buildingAt ? deployment.ready - deployment.buildingAt : null
+    };
+  }
+}
+
+VercelProvider.platform = 'vercel';
+VercelProvider.apiBase = 'https://api.vercel.com';
+VercelProvider.markers = ['vercel.json', '.vercel/project.json'];
+VercelProvider.PAGE_SIZE = 100;
+VercelProvider.MAX_PAGES = 20;
+
+module.exports = VercelProvider;